@@ -0,0 +1,74 @@
+// ==============================================================================
+// CACHE — small in-memory LRU cache with an expiry time and hit counters
+// ==============================================================================
+//
+//   const cache = createCache({ maxEntries: 500, ttlMs: 24 * 60 * 60 * 1000 });
+//   cache.get(key)          -> value, or undefined (missing or expired)
+//   cache.peek(key)         -> the same, without counting a hit or miss
+//   cache.countLookup(hit)  -> counts one hit (true) or miss (false), for
+//                              callers that decide after a peek whether the
+//                              value was enough
+//   cache.set(key, value)   -> (re)starts the key's TTL
+//   cache.delete(key)
+//   cache.stats()           -> { size, maxEntries, ttlMs, hits, misses,
+//                                expired, evicted, hitRate }
+//
+// A Map keeps insertion order, so moving a key to the end on every get / set
+// makes the first key the least recently used one; that is the one dropped
+// when the cache is full. Entries are per process and gone after a restart.
+
+export function createCache({ maxEntries, ttlMs, now = Date.now }) {
+  if (!(maxEntries >= 1) || !(ttlMs > 0)) {
+    throw new Error("createCache needs maxEntries >= 1 and ttlMs > 0");
+  }
+
+  const entries = new Map(); // key -> { value, expiresAt }
+  const counters = { hits: 0, misses: 0, expired: 0, evicted: 0 };
+
+  function peek(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    entries.delete(key);
+    if (entry.expiresAt <= now()) {
+      counters.expired++;
+      return undefined;
+    }
+
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function countLookup(hit) {
+    counters[hit ? "hits" : "misses"]++;
+  }
+
+  function get(key) {
+    const value = peek(key);
+    countLookup(value !== undefined);
+    return value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evicted++;
+    }
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      size: entries.size,
+      maxEntries,
+      ttlMs,
+      ...counters,
+      hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+
+  return { get, peek, countLookup, set, delete: (key) => entries.delete(key), stats };
+}
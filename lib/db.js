@@ -0,0 +1,961 @@
+/*
+================================================================================
+  DATABASE — SQLite store for render jobs, payments and their state history
+================================================================================
+
+Every status change is a single transaction: the row update and its
+state_transitions entry are written together or not at all. WAL mode with
+synchronous=FULL means a crash can lose at most the change in flight, never
+the records already written.
+
+TABLES:
+  - jobs              : render jobs (stage, message, result, error, customer,
+                        plus prompt (and the presets it was composed
+                        from), watermark decision and profile and provider
+                        generation id so a restart can resume them, and the
+                        "anim-<ts>" prefix of its output files)
+  - payments          : jobId -> { paymentIntentId, sessionId, status,
+                                   needsReview, reviewReason }
+  - state_transitions : every job stage / payment status change, oldest first
+  - legacy_imports    : payments.json files already imported (by path + hash)
+  - credit_ledger     : +1 / -1 entries per customer and kind ("free" | "paid");
+                        a balance is the SUM of its deltas. Each
+                        (customer, kind, reason, job) pair can only be written
+                        once, so replays of the same grant or spend are no-ops.
+  - checkouts         : jobId -> Stripe Checkout Session we created for it
+  - completion_audit  : every call to POST /jobs/:jobId/complete, accepted or not
+  - used_nonces       : nonces of signed requests seen recently (replay guard)
+  - webhook_events    : every verified Stripe event by id, with its payload and
+                        outcome ("processing" | "processed" | "failed")
+  - admin_actions     : who retried / resolved which job from the admin page
+  - reconciliation_runs: summary of each local-vs-Stripe comparison and the
+                        mismatches it found (JSON)
+  - uploads           : normalized photos (stored under "uploads/") by upload
+                        id, with the customer who sent them, the original
+                        type and size, and the aspect ratio they were fit to;
+                        plus the old-photo prep plan (JSON) and whether the
+                        customer accepted or skipped it
+  - policy_decisions  : the content-policy gate's verdict for each render
+                        request (allowed / blocked / error, at which check,
+                        the categories found and whether the customer
+                        attested to having the right to animate the photo)
+
+Schema changes go in MIGRATIONS below; PRAGMA user_version tracks which ran.
+
+================================================================================
+*/
+
+import Database from "better-sqlite3";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const MIGRATIONS = [
+  // 1: initial schema
+  `
+  CREATE TABLE jobs (
+    job_id      TEXT PRIMARY KEY,
+    is_paid     INTEGER NOT NULL DEFAULT 0,
+    stage       TEXT NOT NULL,
+    message     TEXT,
+    result      TEXT,
+    error       TEXT,
+    created_at  INTEGER NOT NULL,
+    updated_at  INTEGER NOT NULL
+  );
+
+  CREATE TABLE payments (
+    job_id             TEXT PRIMARY KEY,
+    payment_intent_id  TEXT,
+    session_id         TEXT,
+    status             TEXT NOT NULL,
+    created_at         INTEGER NOT NULL,
+    updated_at         INTEGER
+  );
+  CREATE INDEX payments_status_created ON payments (status, created_at);
+
+  CREATE TABLE state_transitions (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity       TEXT NOT NULL,
+    job_id       TEXT NOT NULL,
+    from_status  TEXT,
+    to_status    TEXT NOT NULL,
+    at           INTEGER NOT NULL
+  );
+  CREATE INDEX state_transitions_job ON state_transitions (entity, job_id, id);
+
+  CREATE TABLE legacy_imports (
+    file_path    TEXT NOT NULL,
+    sha256       TEXT NOT NULL,
+    records      INTEGER NOT NULL,
+    imported_at  INTEGER NOT NULL,
+    PRIMARY KEY (file_path, sha256)
+  );
+  `,
+
+  // 2: credit ledger + checkout sessions
+  `
+  ALTER TABLE jobs ADD COLUMN customer_id TEXT;
+
+  CREATE TABLE credit_ledger (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id  TEXT NOT NULL,
+    kind         TEXT NOT NULL,
+    delta        INTEGER NOT NULL,
+    reason       TEXT NOT NULL,
+    job_id       TEXT,
+    created_at   INTEGER NOT NULL
+  );
+  CREATE INDEX credit_ledger_customer ON credit_ledger (customer_id, kind);
+  CREATE INDEX credit_ledger_job ON credit_ledger (job_id, kind);
+  CREATE UNIQUE INDEX credit_ledger_once
+    ON credit_ledger (customer_id, kind, reason, IFNULL(job_id, ''));
+
+  CREATE TABLE checkouts (
+    job_id               TEXT PRIMARY KEY,
+    checkout_session_id  TEXT NOT NULL,
+    customer_id          TEXT,
+    created_at           INTEGER NOT NULL
+  );
+  `,
+
+  // 3: signed job-completion calls
+  `
+  CREATE TABLE completion_audit (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    key_id       TEXT,
+    job_id       TEXT,
+    status       TEXT,
+    outcome      TEXT NOT NULL,
+    reason       TEXT,
+    ip           TEXT,
+    at           INTEGER NOT NULL
+  );
+  CREATE INDEX completion_audit_job ON completion_audit (job_id, id);
+
+  CREATE TABLE used_nonces (
+    key_id   TEXT NOT NULL,
+    nonce    TEXT NOT NULL,
+    at       INTEGER NOT NULL,
+    PRIMARY KEY (key_id, nonce)
+  );
+  `,
+
+  // 4: review flags for refunds, disputes and out-of-band cancels
+  `
+  ALTER TABLE payments ADD COLUMN needs_review INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE payments ADD COLUMN review_reason TEXT;
+  CREATE INDEX payments_payment_intent ON payments (payment_intent_id);
+  `,
+
+  // 5: Stripe webhook event log (dedupe + replay)
+  `
+  CREATE TABLE webhook_events (
+    event_id      TEXT PRIMARY KEY,
+    type          TEXT NOT NULL,
+    payload       TEXT NOT NULL,
+    status        TEXT NOT NULL,
+    error         TEXT,
+    attempts      INTEGER NOT NULL DEFAULT 0,
+    received_at   INTEGER NOT NULL,
+    updated_at    INTEGER NOT NULL
+  );
+  CREATE INDEX webhook_events_status ON webhook_events (status, received_at);
+  `,
+
+  // 6: admin actions (retry capture / cancel, resolve)
+  `
+  CREATE TABLE admin_actions (
+    id       INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id   TEXT NOT NULL,
+    action   TEXT NOT NULL,
+    actor    TEXT,
+    note     TEXT,
+    outcome  TEXT,
+    at       INTEGER NOT NULL
+  );
+  CREATE INDEX admin_actions_job ON admin_actions (job_id, id);
+  `,
+
+  // 7: reconciliation runs against Stripe PaymentIntents
+  `
+  CREATE TABLE reconciliation_runs (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at   INTEGER NOT NULL,
+    finished_at  INTEGER NOT NULL,
+    checked      INTEGER NOT NULL,
+    corrected    INTEGER NOT NULL,
+    mismatches   TEXT NOT NULL
+  );
+  `,
+
+  // 8: what a render needs to resume after a restart
+  `
+  ALTER TABLE jobs ADD COLUMN prompt TEXT;
+  ALTER TABLE jobs ADD COLUMN hide_watermark INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE jobs ADD COLUMN provider TEXT;
+  ALTER TABLE jobs ADD COLUMN generation_id TEXT;
+  ALTER TABLE jobs ADD COLUMN generation_started_at INTEGER;
+  `,
+
+  // 9: output files ("anim-<ts>" prefix) -> job, for download names
+  `
+  ALTER TABLE jobs ADD COLUMN output_key TEXT;
+  CREATE INDEX jobs_output_key ON jobs (output_key);
+  `,
+
+  // 10: uploaded photos
+  `
+  CREATE TABLE uploads (
+    upload_id        TEXT PRIMARY KEY,
+    customer_id      TEXT NOT NULL,
+    original_type    TEXT NOT NULL,
+    original_width   INTEGER NOT NULL,
+    original_height  INTEGER NOT NULL,
+    orientation      INTEGER NOT NULL DEFAULT 1,
+    bytes            INTEGER NOT NULL,
+    width            INTEGER NOT NULL,
+    height           INTEGER NOT NULL,
+    aspect_ratio     TEXT NOT NULL,
+    created_at       INTEGER NOT NULL
+  );
+  CREATE INDEX uploads_created ON uploads (created_at);
+  `,
+
+  // 11: old-photo prep (crop / straighten / restore) per upload
+  `
+  ALTER TABLE uploads ADD COLUMN prep TEXT;
+  ALTER TABLE uploads ADD COLUMN prep_status TEXT;
+  `,
+
+  // 12: what the prompt was composed from (presets, constraints version)
+  `
+  ALTER TABLE jobs ADD COLUMN prompt_spec TEXT;
+  `,
+
+  // 13: content-policy decisions per render request
+  `
+  CREATE TABLE policy_decisions (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id       TEXT NOT NULL,
+    customer_id  TEXT,
+    outcome      TEXT NOT NULL,
+    stage        TEXT NOT NULL,
+    categories   TEXT NOT NULL,
+    reason       TEXT,
+    classifier   TEXT,
+    attested     INTEGER NOT NULL DEFAULT 0,
+    at           INTEGER NOT NULL
+  );
+  CREATE INDEX policy_decisions_job ON policy_decisions (job_id, id);
+  `,
+
+  // 14: watermark profile per render (watermarks/profiles.json)
+  `
+  ALTER TABLE jobs ADD COLUMN watermark_profile TEXT;
+  `
+];
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[version]);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+    console.log(`🗄️ Database migrated to version ${version + 1}`);
+  }
+}
+
+// ---- ROW MAPPING ----
+
+function paymentFromRow(row) {
+  if (!row) return null;
+  return {
+    jobId: row.job_id,
+    paymentIntentId: row.payment_intent_id,
+    sessionId: row.session_id,
+    status: row.status,
+    needsReview: !!row.needs_review,
+    reviewReason: row.review_reason ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at ?? undefined
+  };
+}
+
+function jobFromRow(row) {
+  if (!row) return null;
+  return {
+    jobId: row.job_id,
+    isPaidJob: !!row.is_paid,
+    stage: row.stage,
+    message: row.message,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error ? JSON.parse(row.error) : null,
+    customerId: row.customer_id ?? null,
+    prompt: row.prompt ?? null,
+    promptSpec: row.prompt_spec ? JSON.parse(row.prompt_spec) : null,
+    hideWatermark: !!row.hide_watermark,
+    watermarkProfile: row.watermark_profile ?? null,
+    outputKey: row.output_key ?? null,
+    generation: row.generation_id
+      ? { provider: row.provider, generationId: row.generation_id, startedAt: row.generation_started_at }
+      : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function uploadFromRow(row) {
+  if (!row) return null;
+  return {
+    uploadId: row.upload_id,
+    customerId: row.customer_id,
+    original: {
+      type: row.original_type,
+      width: row.original_width,
+      height: row.original_height,
+      orientation: row.orientation,
+      bytes: row.bytes
+    },
+    width: row.width,
+    height: row.height,
+    aspectRatio: row.aspect_ratio,
+    prep: row.prep ? { ...JSON.parse(row.prep), status: row.prep_status } : null,
+    createdAt: row.created_at
+  };
+}
+
+// Open (or create) the database and bring its schema up to date.
+// Throws if the file can't be opened — better to refuse to start than to
+// run without payment records.
+export function openDatabase(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = FULL");
+  migrate(db);
+
+  const stmt = {
+    getPayment: db.prepare("SELECT * FROM payments WHERE job_id = ?"),
+    insertPayment: db.prepare(`
+      INSERT INTO payments (job_id, payment_intent_id, session_id, status, created_at, updated_at)
+      VALUES (@jobId, @paymentIntentId, @sessionId, @status, @createdAt, @updatedAt)
+      ON CONFLICT (job_id) DO NOTHING
+    `),
+    setPaymentStatus: db.prepare("UPDATE payments SET status = ?, updated_at = ? WHERE job_id = ?"),
+    setPaymentIntent: db.prepare(
+      "UPDATE payments SET payment_intent_id = ?, session_id = COALESCE(?, session_id), updated_at = ? WHERE job_id = ?"
+    ),
+    paymentsByStatus: db.prepare("SELECT * FROM payments WHERE status = ? ORDER BY created_at"),
+    paymentByIntent: db.prepare("SELECT * FROM payments WHERE payment_intent_id = ?"),
+    listPayments: db.prepare(`
+      SELECT p.*, j.stage AS job_stage FROM payments p
+      LEFT JOIN jobs j ON j.job_id = p.job_id
+      WHERE (@status IS NULL OR p.status = @status)
+        AND (@needsReview IS NULL OR p.needs_review = @needsReview)
+        AND (@createdBefore IS NULL OR p.created_at <= @createdBefore)
+        AND (@createdAfter IS NULL OR p.created_at >= @createdAfter)
+      ORDER BY p.created_at DESC
+      LIMIT @limit
+    `),
+    paymentStatusCounts: db.prepare("SELECT status, COUNT(*) AS count FROM payments GROUP BY status"),
+    clearReview: db.prepare("UPDATE payments SET needs_review = 0, updated_at = ? WHERE job_id = ?"),
+    flagPayment: db.prepare(`
+      UPDATE payments SET needs_review = 1, updated_at = ?,
+        review_reason = CASE
+          WHEN review_reason IS NULL OR needs_review = 0 THEN ?
+          ELSE review_reason || '; ' || ?
+        END
+      WHERE job_id = ?
+    `),
+
+    getJob: db.prepare("SELECT * FROM jobs WHERE job_id = ?"),
+    insertJob: db.prepare(`
+      INSERT INTO jobs (job_id, is_paid, customer_id, prompt, prompt_spec, hide_watermark, watermark_profile,
+        stage, message, result, error, created_at, updated_at)
+      VALUES (@jobId, @isPaid, @customerId, @prompt, @promptSpec, @hideWatermark, @watermarkProfile,
+        @stage, @message, @result, @error, @createdAt, @updatedAt)
+    `),
+    setJobOutputKey: db.prepare("UPDATE jobs SET output_key = ? WHERE job_id = ?"),
+    jobByOutputKey: db.prepare("SELECT * FROM jobs WHERE output_key = ?"),
+    setJobGeneration: db.prepare(`
+      UPDATE jobs SET provider = @provider, generation_id = @generationId, generation_started_at = @startedAt
+      WHERE job_id = @jobId
+    `),
+    updateJob: db.prepare(`
+      UPDATE jobs SET stage = @stage, message = @message, result = @result, error = @error,
+        updated_at = @updatedAt
+      WHERE job_id = @jobId
+    `),
+    setJobPrompt: db.prepare("UPDATE jobs SET prompt = ?, prompt_spec = ? WHERE job_id = ?"),
+    unfinishedJobs: db.prepare("SELECT * FROM jobs WHERE stage NOT IN ('done', 'failed')"),
+
+    insertTransition: db.prepare(
+      "INSERT INTO state_transitions (entity, job_id, from_status, to_status, at) VALUES (?, ?, ?, ?, ?)"
+    ),
+    transitions: db.prepare(
+      "SELECT from_status, to_status, at FROM state_transitions WHERE entity = ? AND job_id = ? ORDER BY id"
+    ),
+
+    insertLedger: db.prepare(`
+      INSERT OR IGNORE INTO credit_ledger (customer_id, kind, delta, reason, job_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    hasLedgerEntry: db.prepare(`
+      SELECT 1 FROM credit_ledger
+      WHERE customer_id = ? AND kind = ? AND reason = ? AND IFNULL(job_id, '') = IFNULL(?, '')
+    `),
+    customerBalance: db.prepare(
+      "SELECT IFNULL(SUM(delta), 0) AS balance FROM credit_ledger WHERE customer_id = ? AND kind = ?"
+    ),
+    jobBalance: db.prepare(
+      "SELECT IFNULL(SUM(delta), 0) AS balance FROM credit_ledger WHERE job_id = ? AND kind = ?"
+    ),
+    jobGrant: db.prepare(
+      "SELECT customer_id FROM credit_ledger WHERE job_id = ? AND kind = ? AND delta > 0 ORDER BY id LIMIT 1"
+    ),
+
+    getCheckout: db.prepare("SELECT * FROM checkouts WHERE job_id = ?"),
+    insertCheckout: db.prepare(`
+      INSERT INTO checkouts (job_id, checkout_session_id, customer_id, created_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (job_id) DO NOTHING
+    `),
+
+    insertAudit: db.prepare(`
+      INSERT INTO completion_audit (key_id, job_id, status, outcome, reason, ip, at)
+      VALUES (@keyId, @jobId, @status, @outcome, @reason, @ip, @at)
+    `),
+    insertNonce: db.prepare("INSERT OR IGNORE INTO used_nonces (key_id, nonce, at) VALUES (?, ?, ?)"),
+    purgeNonces: db.prepare("DELETE FROM used_nonces WHERE at < ?"),
+
+    getWebhookEvent: db.prepare("SELECT * FROM webhook_events WHERE event_id = ?"),
+    insertWebhookEvent: db.prepare(`
+      INSERT INTO webhook_events (event_id, type, payload, status, attempts, received_at, updated_at)
+      VALUES (?, ?, ?, 'processing', 1, ?, ?)
+    `),
+    restartWebhookEvent: db.prepare(`
+      UPDATE webhook_events SET status = 'processing', error = NULL, attempts = attempts + 1, updated_at = ?
+      WHERE event_id = ?
+    `),
+    finishWebhookEvent: db.prepare(
+      "UPDATE webhook_events SET status = ?, error = ?, updated_at = ? WHERE event_id = ?"
+    ),
+    listWebhookEvents: db.prepare(`
+      SELECT event_id, type, status, error, attempts, received_at, updated_at FROM webhook_events
+      WHERE (@status IS NULL OR status = @status)
+      ORDER BY received_at DESC LIMIT @limit
+    `),
+
+    insertAdminAction: db.prepare(`
+      INSERT INTO admin_actions (job_id, action, actor, note, outcome, at)
+      VALUES (@jobId, @action, @actor, @note, @outcome, @at)
+    `),
+    adminActions: db.prepare(
+      "SELECT action, actor, note, outcome, at FROM admin_actions WHERE job_id = ? ORDER BY id"
+    ),
+    completionAudit: db.prepare(
+      "SELECT key_id, status, outcome, reason, ip, at FROM completion_audit WHERE job_id = ? ORDER BY id"
+    ),
+
+    insertPolicyDecision: db.prepare(`
+      INSERT INTO policy_decisions (job_id, customer_id, outcome, stage, categories, reason, classifier, attested, at)
+      VALUES (@jobId, @customerId, @outcome, @stage, @categories, @reason, @classifier, @attested, @at)
+    `),
+    policyDecisions: db.prepare("SELECT * FROM policy_decisions WHERE job_id = ? ORDER BY id"),
+
+    insertReconciliationRun: db.prepare(`
+      INSERT INTO reconciliation_runs (started_at, finished_at, checked, corrected, mismatches)
+      VALUES (@startedAt, @finishedAt, @checked, @corrected, @mismatches)
+    `),
+    listReconciliationRuns: db.prepare("SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT ?"),
+
+    insertUpload: db.prepare(`
+      INSERT INTO uploads (upload_id, customer_id, original_type, original_width, original_height,
+        orientation, bytes, width, height, aspect_ratio, created_at)
+      VALUES (@uploadId, @customerId, @originalType, @originalWidth, @originalHeight,
+        @orientation, @bytes, @width, @height, @aspectRatio, @createdAt)
+    `),
+    getUpload: db.prepare("SELECT * FROM uploads WHERE upload_id = ?"),
+    setUploadPrep: db.prepare("UPDATE uploads SET prep = ?, prep_status = 'ready' WHERE upload_id = ?"),
+    setUploadPrepStatus: db.prepare("UPDATE uploads SET prep_status = ? WHERE upload_id = ? AND prep IS NOT NULL"),
+    deleteUploadsBefore: db.prepare("DELETE FROM uploads WHERE created_at < ? RETURNING upload_id"),
+
+    findImport: db.prepare("SELECT 1 FROM legacy_imports WHERE file_path = ? AND sha256 = ?"),
+    insertImport: db.prepare(
+      "INSERT INTO legacy_imports (file_path, sha256, records, imported_at) VALUES (?, ?, ?, ?)"
+    )
+  };
+
+  // ---- PAYMENTS ----
+
+  // Insert a payment unless the jobId already has one; returns the stored record
+  const insertPayment = db.transaction((jobId, { paymentIntentId = null, sessionId = null, status, createdAt }) => {
+    const now = Date.now();
+    const { changes } = stmt.insertPayment.run({
+      jobId,
+      paymentIntentId,
+      sessionId,
+      status,
+      createdAt: createdAt ?? now,
+      updatedAt: null
+    });
+    if (changes) stmt.insertTransition.run("payment", jobId, null, status, now);
+    return { created: changes > 0, record: paymentFromRow(stmt.getPayment.get(jobId)) };
+  });
+
+  // Change a payment's status and log the transition; null if there is no record
+  const setPaymentStatus = db.transaction((jobId, status) => {
+    const row = stmt.getPayment.get(jobId);
+    if (!row) return null;
+
+    const now = Date.now();
+    stmt.setPaymentStatus.run(status, now, jobId);
+    stmt.insertTransition.run("payment", jobId, row.status, status, now);
+    return { previousStatus: row.status, record: paymentFromRow(stmt.getPayment.get(jobId)) };
+  });
+
+  // Mark a payment for manual review; reasons accumulate until it's cleared
+  function flagPaymentForReview(jobId, reason) {
+    return stmt.flagPayment.run(Date.now(), reason, reason, jobId).changes > 0;
+  }
+
+  // Admin list: newest first, every filter optional
+  function listPayments({ status = null, needsReview = null, createdBefore = null, createdAfter = null, limit = 100 } = {}) {
+    return stmt.listPayments
+      .all({
+        status,
+        needsReview: needsReview === null ? null : needsReview ? 1 : 0,
+        createdBefore,
+        createdAfter,
+        limit
+      })
+      .map((row) => ({ ...paymentFromRow(row), jobStage: row.job_stage ?? null }));
+  }
+
+  function paymentStatusCounts() {
+    return Object.fromEntries(stmt.paymentStatusCounts.all().map((r) => [r.status, r.count]));
+  }
+
+  function clearPaymentReview(jobId) {
+    return stmt.clearReview.run(Date.now(), jobId).changes > 0;
+  }
+
+  function setPaymentIntent(jobId, paymentIntentId, sessionId) {
+    stmt.setPaymentIntent.run(paymentIntentId, sessionId, Date.now(), jobId);
+    return paymentFromRow(stmt.getPayment.get(jobId));
+  }
+
+  // ---- JOBS ----
+
+  const insertJob = db.transaction((job) => {
+    stmt.insertJob.run({
+      jobId: job.jobId,
+      isPaid: job.isPaidJob ? 1 : 0,
+      customerId: job.customerId ?? null,
+      prompt: job.prompt ?? null,
+      promptSpec: job.promptSpec ? JSON.stringify(job.promptSpec) : null,
+      hideWatermark: job.hideWatermark ? 1 : 0,
+      watermarkProfile: job.watermarkProfile ?? null,
+      stage: job.stage,
+      message: job.message ?? null,
+      result: job.result ? JSON.stringify(job.result) : null,
+      error: job.error ? JSON.stringify(job.error) : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    });
+    stmt.insertTransition.run("job", job.jobId, null, job.stage, job.createdAt);
+  });
+
+  // Write the job's current fields; logs a transition when the stage changed
+  const updateJob = db.transaction((job) => {
+    const row = stmt.getJob.get(job.jobId);
+    if (!row) return null;
+
+    stmt.updateJob.run({
+      jobId: job.jobId,
+      stage: job.stage,
+      message: job.message ?? null,
+      result: job.result ? JSON.stringify(job.result) : null,
+      error: job.error ? JSON.stringify(job.error) : null,
+      updatedAt: job.updatedAt
+    });
+    if (row.stage !== job.stage) {
+      stmt.insertTransition.run("job", job.jobId, row.stage, job.stage, job.updatedAt);
+    }
+    return job;
+  });
+
+  // Remember the provider generation so a restart can resume polling it
+  function setJobGeneration(jobId, { provider, generationId, startedAt }) {
+    return stmt.setJobGeneration.run({ jobId, provider, generationId, startedAt }).changes > 0;
+  }
+
+  function transitionsFor(entity, jobId) {
+    return stmt.transitions.all(entity, jobId).map((t) => ({
+      from: t.from_status,
+      to: t.to_status,
+      at: t.at
+    }));
+  }
+
+  // ---- CREDIT LEDGER ----
+
+  // Add a ledger entry; false if this exact entry was already written
+  function addLedgerEntry({ customerId, kind, delta, reason, jobId = null }) {
+    const { changes } = stmt.insertLedger.run(customerId, kind, delta, reason, jobId, Date.now());
+    return changes > 0;
+  }
+
+  function hasLedgerEntry({ customerId, kind, reason, jobId = null }) {
+    return !!stmt.hasLedgerEntry.get(customerId, kind, reason, jobId);
+  }
+
+  // Grant the single credit that belongs to a job (e.g. its checkout).
+  // False if that job already got one, whichever customer it went to.
+  const grantJobCredit = db.transaction(({ customerId, kind, reason, jobId }) => {
+    if (stmt.jobGrant.get(jobId, kind)) return false;
+    return addLedgerEntry({ customerId, kind, delta: 1, reason, jobId });
+  });
+
+  function creditBalance(customerId, kind) {
+    return stmt.customerBalance.get(customerId, kind).balance;
+  }
+
+  // Paid credits are granted per checkout, so they're looked up by jobId
+  function jobCreditBalance(jobId, kind) {
+    return stmt.jobBalance.get(jobId, kind).balance;
+  }
+
+  // Spend one credit if there is one. Balance check and spend happen in the
+  // same transaction, so two renders can never share a credit.
+  //   kind "free" : spends from the customer's balance
+  //   kind "paid" : spends the credit granted for this jobId's checkout, only
+  //                 for the customer it was granted to; without a customerId
+  //                 (revoking a released hold) whoever holds it
+  // { ok: false, reason: "not_owner" } when the credit is someone else's.
+  const consumeCredit = db.transaction(({ customerId, kind, jobId, reason = "render" }) => {
+    let owner = customerId;
+
+    if (kind === "paid") {
+      if (jobCreditBalance(jobId, kind) <= 0) return { ok: false };
+      owner = stmt.jobGrant.get(jobId, kind).customer_id;
+      if (customerId && owner !== customerId) return { ok: false, reason: "not_owner" };
+    } else if (creditBalance(customerId, kind) <= 0) {
+      return { ok: false };
+    }
+
+    const spent = addLedgerEntry({ customerId: owner, kind, delta: -1, reason, jobId });
+    return { ok: spent, customerId: owner };
+  });
+
+  // ---- CHECKOUTS ----
+
+  // A jobId belongs to one checkout: recording another session for it
+  // throws instead of taking the job over
+  function recordCheckout(jobId, checkoutSessionId, customerId) {
+    stmt.insertCheckout.run(jobId, checkoutSessionId, customerId ?? null, Date.now());
+
+    const row = stmt.getCheckout.get(jobId);
+    if (row?.checkout_session_id !== checkoutSessionId || row.customer_id !== (customerId ?? null)) {
+      throw new Error(`Checkout for jobId=${jobId} is already recorded with another session`);
+    }
+  }
+
+  function getCheckout(jobId) {
+    const row = stmt.getCheckout.get(jobId);
+    if (!row) return null;
+    return {
+      jobId: row.job_id,
+      checkoutSessionId: row.checkout_session_id,
+      customerId: row.customer_id,
+      createdAt: row.created_at
+    };
+  }
+
+  // ---- SIGNED COMPLETION CALLS ----
+
+  function recordCompletionAudit({ keyId = null, jobId = null, status = null, outcome, reason = null, ip = null }) {
+    stmt.insertAudit.run({ keyId, jobId, status, outcome, reason, ip, at: Date.now() });
+  }
+
+  // True the first time a (keyId, nonce) pair is seen
+  function claimNonce(keyId, nonce) {
+    return stmt.insertNonce.run(keyId, nonce, Date.now()).changes > 0;
+  }
+
+  function purgeNoncesBefore(at) {
+    return stmt.purgeNonces.run(at).changes;
+  }
+
+  // ---- STRIPE WEBHOOK EVENTS ----
+
+  function webhookEventFromRow(row) {
+    if (!row) return null;
+    return {
+      eventId: row.event_id,
+      type: row.type,
+      payload: row.payload ? JSON.parse(row.payload) : undefined,
+      status: row.status,
+      error: row.error,
+      attempts: row.attempts,
+      receivedAt: row.received_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Decide whether this delivery should be processed. A new event is stored
+  // and claimed; a failed one, or one stuck in "processing" for longer than
+  // staleAfterMs (the process died mid-way), is claimed again. Anything else
+  // is a duplicate.
+  const claimWebhookEvent = db.transaction((event, staleAfterMs) => {
+    const now = Date.now();
+    const row = stmt.getWebhookEvent.get(event.id);
+
+    if (!row) {
+      stmt.insertWebhookEvent.run(event.id, event.type, JSON.stringify(event), now, now);
+      return { claimed: true, previousStatus: null };
+    }
+
+    const stale = row.status === "processing" && now - row.updated_at > staleAfterMs;
+    if (row.status === "failed" || stale) {
+      stmt.restartWebhookEvent.run(now, event.id);
+      return { claimed: true, previousStatus: row.status };
+    }
+
+    return { claimed: false, previousStatus: row.status };
+  });
+
+  // Claim a stored event for a manual replay, whatever its status
+  function restartWebhookEvent(eventId) {
+    return stmt.restartWebhookEvent.run(Date.now(), eventId).changes > 0;
+  }
+
+  function finishWebhookEvent(eventId, status, error = null) {
+    stmt.finishWebhookEvent.run(status, error, Date.now(), eventId);
+  }
+
+  // ---- ADMIN ----
+
+  function recordAdminAction({ jobId, action, actor = null, note = null, outcome = null }) {
+    stmt.insertAdminAction.run({ jobId, action, actor, note, outcome, at: Date.now() });
+  }
+
+  function adminActionsFor(jobId) {
+    return stmt.adminActions.all(jobId);
+  }
+
+  function completionAuditFor(jobId) {
+    return stmt.completionAudit.all(jobId).map((r) => ({
+      keyId: r.key_id,
+      status: r.status,
+      outcome: r.outcome,
+      reason: r.reason,
+      ip: r.ip,
+      at: r.at
+    }));
+  }
+
+  // ---- CONTENT POLICY ----
+
+  function recordPolicyDecision({
+    jobId,
+    customerId = null,
+    outcome,
+    stage,
+    categories = [],
+    reason = null,
+    classifier = null,
+    attested = false
+  }) {
+    stmt.insertPolicyDecision.run({
+      jobId,
+      customerId,
+      outcome,
+      stage,
+      categories: JSON.stringify(categories),
+      reason,
+      classifier,
+      attested: attested ? 1 : 0,
+      at: Date.now()
+    });
+  }
+
+  function policyDecisionsFor(jobId) {
+    return stmt.policyDecisions.all(jobId).map((r) => ({
+      outcome: r.outcome,
+      stage: r.stage,
+      categories: JSON.parse(r.categories),
+      reason: r.reason,
+      classifier: r.classifier,
+      attested: !!r.attested,
+      at: r.at
+    }));
+  }
+
+  // ---- UPLOADS ----
+
+  function insertUpload({ uploadId, customerId, original, width, height, aspectRatio }) {
+    const createdAt = Date.now();
+    stmt.insertUpload.run({
+      uploadId,
+      customerId,
+      originalType: original.type,
+      originalWidth: original.width,
+      originalHeight: original.height,
+      orientation: original.orientation ?? 1,
+      bytes: original.bytes,
+      width,
+      height,
+      aspectRatio,
+      createdAt
+    });
+    return uploadFromRow(stmt.getUpload.get(uploadId));
+  }
+
+  // Forget uploads older than `before`; returns their ids so the files can go too
+  function deleteUploadsBefore(before) {
+    return stmt.deleteUploadsBefore.all(before).map((row) => row.upload_id);
+  }
+
+  // ---- RECONCILIATION ----
+
+  function recordReconciliationRun({ startedAt, finishedAt, checked, corrected, mismatches }) {
+    stmt.insertReconciliationRun.run({
+      startedAt,
+      finishedAt,
+      checked,
+      corrected,
+      mismatches: JSON.stringify(mismatches)
+    });
+  }
+
+  function listReconciliationRuns(limit = 20) {
+    return stmt.listReconciliationRuns.all(limit).map((row) => ({
+      id: row.id,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      checked: row.checked,
+      corrected: row.corrected,
+      mismatches: JSON.parse(row.mismatches)
+    }));
+  }
+
+  // ---- ONE-TIME IMPORT OF LEGACY payments.json ----
+
+  // Imports every record the database doesn't already have. Existing rows
+  // win, so running it twice (or after new payments arrived) is harmless.
+  // Throws on unreadable JSON instead of skipping it.
+  function importLegacyPayments(jsonPath) {
+    const absPath = path.resolve(jsonPath);
+    if (!fs.existsSync(absPath)) return { skipped: true, reason: "missing", imported: 0 };
+
+    const raw = fs.readFileSync(absPath);
+    const sha256 = crypto.createHash("sha256").update(raw).digest("hex");
+    if (stmt.findImport.get(absPath, sha256)) {
+      return { skipped: true, reason: "already imported", imported: 0 };
+    }
+
+    const records = JSON.parse(raw.toString("utf-8"));
+    if (!records || typeof records !== "object" || Array.isArray(records)) {
+      throw new Error(`${absPath} does not contain a jobId -> payment map`);
+    }
+
+    const run = db.transaction(() => {
+      let imported = 0;
+      for (const [jobId, record] of Object.entries(records)) {
+        if (!record || typeof record.status !== "string") continue;
+
+        const { changes } = stmt.insertPayment.run({
+          jobId,
+          paymentIntentId: record.paymentIntentId ?? null,
+          sessionId: record.sessionId ?? null,
+          status: record.status,
+          createdAt: record.createdAt ?? Date.now(),
+          updatedAt: record.updatedAt ?? null
+        });
+        if (changes) {
+          stmt.insertTransition.run("payment", jobId, null, record.status, record.updatedAt ?? record.createdAt ?? Date.now());
+          imported++;
+        }
+      }
+      stmt.insertImport.run(absPath, sha256, imported, Date.now());
+      return imported;
+    });
+
+    return { skipped: false, imported: run() };
+  }
+
+  return {
+    raw: db,
+    close: () => db.close(),
+
+    getPayment: (jobId) => paymentFromRow(stmt.getPayment.get(jobId)),
+    insertPayment,
+    setPaymentStatus,
+    setPaymentIntent,
+    flagPaymentForReview,
+    clearPaymentReview,
+    listPayments,
+    paymentStatusCounts,
+    getPaymentByIntent: (paymentIntentId) => paymentFromRow(stmt.paymentByIntent.get(paymentIntentId)),
+    paymentsByStatus: (status) => stmt.paymentsByStatus.all(status).map(paymentFromRow),
+
+    getJob: (jobId) => jobFromRow(stmt.getJob.get(jobId)),
+    insertJob,
+    updateJob,
+    setJobGeneration,
+    setJobOutputKey: (jobId, outputKey) => stmt.setJobOutputKey.run(outputKey, jobId).changes > 0,
+    // A re-render with another prompt (see the motion check in server.js)
+    setJobPrompt: (jobId, prompt, promptSpec) =>
+      stmt.setJobPrompt.run(prompt, JSON.stringify(promptSpec), jobId).changes > 0,
+    jobByOutputKey: (outputKey) => jobFromRow(stmt.jobByOutputKey.get(outputKey)),
+    unfinishedJobs: () => stmt.unfinishedJobs.all().map(jobFromRow),
+
+    transitionsFor,
+
+    addLedgerEntry,
+    hasLedgerEntry,
+    grantJobCredit,
+    creditBalance,
+    jobCreditBalance,
+    consumeCredit,
+
+    recordCheckout,
+    getCheckout,
+
+    recordCompletionAudit,
+    claimNonce,
+    purgeNoncesBefore,
+
+    claimWebhookEvent,
+    restartWebhookEvent,
+    finishWebhookEvent,
+    getWebhookEvent: (eventId) => webhookEventFromRow(stmt.getWebhookEvent.get(eventId)),
+    listWebhookEvents: ({ status = null, limit = 50 } = {}) =>
+      stmt.listWebhookEvents.all({ status, limit }).map(webhookEventFromRow),
+
+    recordAdminAction,
+    adminActionsFor,
+    completionAuditFor,
+
+    recordPolicyDecision,
+    policyDecisionsFor,
+
+    recordReconciliationRun,
+    listReconciliationRuns,
+
+    insertUpload,
+    getUpload: (uploadId) => uploadFromRow(stmt.getUpload.get(uploadId)),
+    // A new prep result replaces the last one and waits for accept / skip
+    setUploadPrep: (uploadId, prep) => stmt.setUploadPrep.run(JSON.stringify(prep), uploadId).changes > 0,
+    // "accepted" | "skipped"; false if the upload was never prepared
+    setUploadPrepStatus: (uploadId, status) => stmt.setUploadPrepStatus.run(status, uploadId).changes > 0,
+    deleteUploadsBefore,
+
+    importLegacyPayments
+  };
+}
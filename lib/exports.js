@@ -0,0 +1,134 @@
+// ==============================================================================
+// EXPORTS — extra renditions of a finished animation
+// ==============================================================================
+//
+//   gif       : looping GIF, 480px wide, palette generated from the clip itself
+//   webp      : looping animated WebP, 540px wide
+//   boomerang : MP4 that plays forward then in reverse (twice as long)
+//
+// Each rendition is made from the final MP4 (so free renders keep their
+// watermark) and saved next to it: anim-<ts>-wm.gif, anim-<ts>-wm-boomerang.mp4
+//
+// Download renditions (GET /api/download/<video>?rendition=720p) are encoded
+// on first request and kept next to the video: anim-<ts>-wm-720p.mp4
+//
+// Every finished render also gets preview images (made right away, not on
+// request): a poster JPEG and a thumbnail sprite for scrubbing / link previews.
+
+import path from "path";
+import { MP4_ENCODE_ARGS } from "./watermark.js";
+
+export const EXPORT_FORMATS = {
+  gif: { suffix: ".gif", contentType: "image/gif" },
+  webp: { suffix: ".webp", contentType: "image/webp" },
+  boomerang: { suffix: "-boomerang.mp4", contentType: "video/mp4" }
+};
+
+// Output filename for a rendition of `videoFilename`
+export function exportFilename(videoFilename, format) {
+  return `${path.basename(videoFilename, ".mp4")}${EXPORT_FORMATS[format].suffix}`;
+}
+
+// ffmpeg arguments that turn inputPath into `format` at outputPath
+export function exportArgs(format, inputPath, outputPath) {
+  switch (format) {
+    case "gif":
+      // One palette for the whole clip; diff stats favour the moving parts
+      return [
+        "-y", "-i", inputPath,
+        "-filter_complex",
+        "[0:v]fps=12,scale=480:-2:flags=lanczos,split[a][b];" +
+        "[a]palettegen=stats_mode=diff[p];" +
+        "[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle",
+        "-loop", "0",
+        outputPath
+      ];
+
+    case "webp":
+      return [
+        "-y", "-i", inputPath,
+        "-vf", "fps=15,scale=540:-2:flags=lanczos",
+        "-c:v", "libwebp",
+        "-lossless", "0",
+        "-quality", "75",
+        "-loop", "0",
+        "-an",
+        outputPath
+      ];
+
+    case "boomerang":
+      return [
+        "-y", "-i", inputPath,
+        "-filter_complex", "[0:v]split[f][b];[b]reverse[r];[f][r]concat=n=2:v=1:a=0[outv]",
+        "-map", "[outv]",
+        "-an",
+        ...MP4_ENCODE_ARGS,
+        outputPath
+      ];
+
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+// ---- PREVIEW IMAGES ----
+
+// Sprite layout: one 160px-wide frame every half second, in a single row
+// (a 5 second clip fills all 10 tiles)
+export const SPRITE_LAYOUT = { columns: 10, rows: 1, intervalSec: 0.5, tileWidth: 160 };
+
+export function previewFilenames(videoFilename) {
+  const base = path.basename(videoFilename, ".mp4");
+  return { poster: `${base}-poster.jpg`, sprite: `${base}-sprite.jpg` };
+}
+
+// Poster: the most representative of the first 48 frames (ffmpeg "thumbnail"
+// skips blurry / transitional frames)
+export function posterArgs(inputPath, outputPath) {
+  return ["-y", "-i", inputPath, "-vf", "thumbnail=48", "-frames:v", "1", "-q:v", "3", outputPath];
+}
+
+export function spriteArgs(inputPath, outputPath) {
+  const { columns, rows, intervalSec, tileWidth } = SPRITE_LAYOUT;
+  return [
+    "-y", "-i", inputPath,
+    "-vf", `fps=${1 / intervalSec},scale=${tileWidth}:-2,tile=${columns}x${rows}`,
+    "-frames:v", "1",
+    "-q:v", "5",
+    outputPath
+  ];
+}
+
+// ---- DOWNLOAD RENDITIONS ----
+
+// Never upscaled: a 720p source stays 720p in the "1080p" rendition
+export const RENDITIONS = {
+  "720p": { height: 720, codec: "h264" },
+  "1080p": { height: 1080, codec: "h264" },
+  hevc: { height: null, codec: "hevc" }
+};
+
+export function renditionFilename(videoFilename, rendition) {
+  return `${path.basename(videoFilename, ".mp4")}-${rendition}.mp4`;
+}
+
+export function renditionArgs(rendition, inputPath, outputPath) {
+  const { height, codec } = RENDITIONS[rendition];
+  const scale = height ? ["-vf", `scale=-2:'min(${height},ih)'`] : [];
+
+  const video = codec === "hevc"
+    ? ["-c:v", "libx265", "-tag:v", "hvc1", "-preset", "fast", "-crf", "26"] // hvc1 tag: plays in Safari / QuickTime
+    : ["-c:v", "libx264", "-profile:v", "high", "-level", height > 720 ? "4.0" : "3.1", "-preset", "fast", "-crf", "21"];
+
+  return [
+    "-y", "-i", inputPath,
+    ...scale,
+    "-map", "0:v", "-map", "0:a?",
+    ...video,
+    "-pix_fmt", "yuv420p",
+    "-c:a", "copy",
+    "-movflags", "+faststart",
+    "-f", "mp4", // output may be a temp name without .mp4
+    outputPath
+  ];
+}
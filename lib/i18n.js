@@ -0,0 +1,125 @@
+// ==============================================================================
+// I18N — messages and curated suggestions in the customer's language
+// ==============================================================================
+//
+// The page sends the language picked in its menu as Accept-Language; JSON
+// requests may send { language } instead. Catalogs are locales/<lang>.json:
+//
+//   {
+//     "errors": {
+//       "no_photo": "Please upload a photo first.",
+//       "image": { "too_small": "This photo is too small ({width}x{height}). ..." }
+//     },
+//     "suggestions": { "couple": ["...", "...", "..."], "portrait": [...] },
+//     "speechWords": ["spricht", "singt", ...]
+//   }
+//
+// speechWords are what keeps talking out of Gemini's suggestions in that
+// language, on top of the English words in lib/prompt-composer.js (so the
+// English catalog's list is empty).
+//
+// A message missing from a catalog falls back to the base language
+// ("pt-BR" -> "pt"), then to English, so catalogs can be partial and a
+// language can be offered before it has one. {name} placeholders are filled
+// in from params.
+//
+// LANGUAGES is every language the page's menu offers; Gemini writes
+// suggestions in all of them, catalog or not.
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_LANGUAGE = "en";
+
+// Language code -> English name (what Gemini is asked to write in)
+export const LANGUAGES = {
+  en: "English",
+  es: "Spanish",
+  fr: "French",
+  de: "German",
+  it: "Italian",
+  pt: "Portuguese",
+  "pt-BR": "Brazilian Portuguese",
+  ru: "Russian",
+  uk: "Ukrainian",
+  ro: "Romanian",
+  el: "Greek",
+  hu: "Hungarian",
+  pl: "Polish",
+  ar: "Arabic",
+  bg: "Bulgarian",
+  no: "Norwegian",
+  da: "Danish",
+  sk: "Slovak"
+};
+
+// Supported language for a tag like "de-AT" or "pt-br", or null
+export function matchLanguage(tag) {
+  if (typeof tag !== "string") return null;
+  const wanted = tag.trim().toLowerCase();
+  const exact = Object.keys(LANGUAGES).find((code) => code.toLowerCase() === wanted);
+  if (exact) return exact;
+
+  const base = wanted.split("-")[0];
+  return Object.hasOwn(LANGUAGES, base) ? base : null;
+}
+
+// Language of a request: body.language, else the best Accept-Language match,
+// else English
+export function requestLanguage(req) {
+  const fromBody = matchLanguage(req.body?.language);
+  if (fromBody) return fromBody;
+
+  const accepted = String(req.headers["accept-language"] || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...options] = part.split(";");
+      const q = options.map((o) => o.trim()).find((o) => o.startsWith("q="));
+      return { tag, q: q ? Number(q.slice(2)) || 0 : 1 };
+    })
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of accepted) {
+    const language = matchLanguage(tag);
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+// { <language>: catalog } from every locales/<language>.json in dir.
+// Throws if a catalog isn't valid JSON or the English one is missing —
+// English is what every other language falls back to.
+export function loadCatalogs(dir) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(dir)) {
+    const language = matchLanguage(path.basename(file, ".json"));
+    if (!file.endsWith(".json") || !language) continue;
+    catalogs[language] = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+  }
+  if (!catalogs[DEFAULT_LANGUAGE]) {
+    throw new Error(`No ${DEFAULT_LANGUAGE}.json catalog in ${dir}`);
+  }
+  return catalogs;
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+}
+
+function fill(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(params, name) ? String(params[name]) : match));
+}
+
+// t(language, key, params) -> the message (or list, e.g. suggestions) for
+// key, from the first catalog that has it; the key itself if none does
+export function createTranslator(catalogs) {
+  return function t(language, key, params = {}) {
+    const chain = [language, language?.split("-")[0], DEFAULT_LANGUAGE];
+    for (const code of chain) {
+      const value = code && catalogs[code] ? lookup(catalogs[code], key) : undefined;
+      if (typeof value === "string") return fill(value, params);
+      if (Array.isArray(value)) return value.map((item) => fill(String(item), params));
+    }
+    return key;
+  };
+}
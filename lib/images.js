@@ -0,0 +1,278 @@
+// ==============================================================================
+// IMAGES — checking and normalizing uploaded photos
+// ==============================================================================
+//
+// The type and size come from the file's own header bytes, never from the
+// file name or the Content-Type the browser sent:
+//
+//   JPEG : SOF segment for the size, EXIF (APP1) for the orientation
+//   PNG  : IHDR chunk
+//   WebP : VP8 / VP8L / VP8X chunk (animated WebP is refused)
+//
+// Normalizing (two ffmpeg passes):
+//   uprightArgs : apply the EXIF orientation, so sideways phone photos stand
+//                 up, cap the size and write a fresh JPEG with no metadata at
+//                 all (EXIF, GPS location, ...). This "source" copy is what
+//                 photo prep (lib/photo-prep.js) works from.
+//   fitArgs     : fit inside the closest frame Kling renders (16:9, 9:16 or
+//                 1:1) and pad the rest, so the animation isn't cropped or
+//                 stretched
+
+export const UPLOAD_LIMITS = {
+  minSide: 300,          // Kling refuses smaller images
+  maxSide: 12000,
+  maxPixels: 60_000_000, // a small file can still decode to gigabytes
+  sourceMaxSide: 2048    // upright copy kept for photo prep
+};
+
+// Output frame per aspect ratio; the photo is scaled to fit, then padded
+export const KLING_FRAMES = {
+  "16:9": { width: 1280, height: 720 },
+  "9:16": { width: 720, height: 1280 },
+  "1:1": { width: 1024, height: 1024 }
+};
+
+// A photo we can't use.
+//   code    : machine-readable reason ("unsupported_type", "too_small", ...)
+//   message : safe to show the user (English)
+//   key     : message in the translation catalogs ("errors.image.<key>",
+//             see lib/i18n.js), the code unless one code has several messages
+//   params  : values the message is filled in with
+export class ImageError extends Error {
+  constructor(code, message, { key = code, params = {} } = {}) {
+    super(message);
+    this.name = "ImageError";
+    this.code = code;
+    this.key = key;
+    this.params = params;
+  }
+}
+
+// ---- HEADER SNIFFING ----
+
+function exifOrientation(buf, start, end) {
+  // "Exif\0\0" then a TIFF header: byte order, 42, offset of the first IFD
+  if (buf.toString("latin1", start, start + 6) !== "Exif\0\0") return 1;
+  const tiff = start + 6;
+  if (tiff + 8 > end) return 1;
+
+  const little = buf.toString("latin1", tiff, tiff + 2) === "II";
+  const u16 = (at) => (little ? buf.readUInt16LE(at) : buf.readUInt16BE(at));
+  const u32 = (at) => (little ? buf.readUInt32LE(at) : buf.readUInt32BE(at));
+
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > end) return 1;
+
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) break;
+    if (u16(entry) === 0x0112) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+// Walks the segments up to the frame header (SOF).
+//   { info }      : type, size and orientation
+//   { needBytes } : buf ends before the SOF, the file's first needBytes
+//                   bytes get the walk at least one segment further
+//   {}            : not a JPEG we can read
+function scanJpeg(buf) {
+  let orientation = 1;
+  let i = 2;
+
+  for (;;) {
+    if (i + 4 > buf.length) return { needBytes: i + 4 };
+    if (buf[i] !== 0xff) return {};
+    const marker = buf[i + 1];
+
+    // Fill bytes and markers without a length
+    if (marker === 0xff) { i++; continue; }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { i += 2; continue; }
+
+    const length = buf.readUInt16BE(i + 2);
+    const segStart = i + 4;
+    const segEnd = Math.min(i + 2 + length, buf.length);
+
+    if (marker === 0xe1) {
+      orientation = exifOrientation(buf, segStart, segEnd);
+    }
+
+    // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      if (segStart + 5 > buf.length) return { needBytes: segStart + 5 };
+      return {
+        info: {
+          type: "jpeg",
+          width: buf.readUInt16BE(segStart + 3),
+          height: buf.readUInt16BE(segStart + 1),
+          orientation
+        }
+      };
+    }
+
+    if (marker === 0xda) return {}; // image data before any SOF
+    i += 2 + length;
+  }
+}
+
+// How many bytes from the start of the file inspectImage needs when buf is
+// the beginning of a JPEG whose SOF is further in (large EXIF, ICC profile or
+// XMP segments come first); null when buf is enough or isn't a JPEG.
+export function jpegBytesNeeded(buf) {
+  if (!(buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff)) return null;
+  return scanJpeg(buf).needBytes ?? null;
+}
+
+function inspectPng(buf) {
+  if (buf.length < 24 || buf.toString("latin1", 12, 16) !== "IHDR") return null;
+  return { type: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20), orientation: 1 };
+}
+
+function inspectWebp(buf) {
+  if (buf.length < 30) return null;
+  const chunk = buf.toString("latin1", 12, 16);
+
+  if (chunk === "VP8 " && buf[23] === 0x9d && buf[24] === 0x01 && buf[25] === 0x2a) {
+    return {
+      type: "webp",
+      width: buf.readUInt16LE(26) & 0x3fff,
+      height: buf.readUInt16LE(28) & 0x3fff,
+      orientation: 1
+    };
+  }
+  if (chunk === "VP8L" && buf[20] === 0x2f) {
+    const bits = buf.readUInt32LE(21);
+    return { type: "webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, orientation: 1 };
+  }
+  if (chunk === "VP8X") {
+    if (buf[20] & 0x02) {
+      throw new ImageError("animated", "Animated WebP images can't be used, please upload a still photo.");
+    }
+    return { type: "webp", width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1, orientation: 1 };
+  }
+  return null;
+}
+
+// Type, size and EXIF orientation (1-8) of an image from its first bytes
+// (for a JPEG everything up to its SOF, see jpegBytesNeeded).
+// Throws ImageError if it isn't a JPEG, PNG or WebP we can read.
+export function inspectImage(buf) {
+  let info = null;
+
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+    info = scanJpeg(buf).info ?? null;
+  } else if (buf.length >= 8 && buf.toString("latin1", 0, 8) === "\x89PNG\r\n\x1a\n") {
+    info = inspectPng(buf);
+  } else if (buf.length >= 12 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") {
+    info = inspectWebp(buf);
+  } else if (buf.length >= 12 && /^ftyp(heic|heix|hevc|mif1|msf1)$/.test(buf.toString("latin1", 4, 12))) {
+    throw new ImageError(
+      "unsupported_type",
+      "HEIC photos aren't supported yet. Please choose \"Most Compatible\" in your camera settings or upload a JPEG.",
+      { key: "heic" }
+    );
+  }
+
+  if (!info) {
+    throw new ImageError("unsupported_type", "Please upload a JPEG, PNG or WebP photo.");
+  }
+  if (!info.width || !info.height) {
+    throw new ImageError("unreadable", "This image looks damaged, please try another photo.");
+  }
+  return info;
+}
+
+// Size as displayed: orientations 5-8 are rotated a quarter turn
+export function displaySize({ width, height, orientation }) {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+// Throws ImageError if the image is too small, too large or too elongated
+// for Kling (between 1:2.5 and 2.5:1)
+export function checkDimensions({ width, height }) {
+  if (Math.min(width, height) < UPLOAD_LIMITS.minSide) {
+    throw new ImageError(
+      "too_small",
+      `This photo is too small (${width}x${height}). Please upload one at least ${UPLOAD_LIMITS.minSide} pixels on each side.`,
+      { params: { width, height, min: UPLOAD_LIMITS.minSide } }
+    );
+  }
+  if (Math.max(width, height) > UPLOAD_LIMITS.maxSide || width * height > UPLOAD_LIMITS.maxPixels) {
+    throw new ImageError("too_large", `This photo is too large (${width}x${height}).`, { params: { width, height } });
+  }
+  const ratio = Math.max(width, height) / Math.min(width, height);
+  if (ratio > 2.5) {
+    throw new ImageError("bad_aspect_ratio", "This photo is too long and narrow to animate, please crop it first.");
+  }
+}
+
+// Closest Kling frame for a displayed size; exactly in-between (4:3) goes to
+// the wider frame so landscape photos stay landscape
+export function closestAspectRatio({ width, height }) {
+  const ratio = width / height;
+  if (ratio >= 4 / 3) return "16:9";
+  if (ratio <= 3 / 4) return "9:16";
+  return "1:1";
+}
+
+// EXIF orientation -> ffmpeg filters that turn the stored pixels upright
+const ORIENTATION_FILTERS = {
+  1: [],
+  2: ["hflip"],
+  3: ["hflip", "vflip"],
+  4: ["vflip"],
+  5: ["transpose=cclock_flip"],
+  6: ["transpose=clock"],
+  7: ["transpose=clock_flip"],
+  8: ["transpose=cclock"]
+};
+
+// Step 1. -noautorotate because we rotate ourselves (newer ffmpeg builds
+// would otherwise rotate JPEGs twice).
+export function uprightArgs(inputPath, outputPath, { orientation = 1 }) {
+  const max = UPLOAD_LIMITS.sourceMaxSide;
+  const filters = [
+    ...ORIENTATION_FILTERS[orientation],
+    `scale=w='min(${max},iw)':h='min(${max},ih)':force_original_aspect_ratio=decrease:flags=lanczos`,
+    "setsar=1",
+    "format=yuvj420p"
+  ];
+
+  return [
+    "-y",
+    "-noautorotate",
+    "-i", inputPath,
+    "-vf", filters.join(","),
+    "-frames:v", "1",
+    "-map_metadata", "-1",
+    "-q:v", "2",
+    outputPath
+  ];
+}
+
+// Filters for step 2, also appended to photo prep's own filters
+export function fitFilters(aspectRatio) {
+  const { width, height } = KLING_FRAMES[aspectRatio];
+  return [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease:flags=lanczos`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+    "setsar=1",
+    "format=yuvj420p"
+  ];
+}
+
+export function fitArgs(inputPath, outputPath, { aspectRatio, filters = [] }) {
+  return [
+    "-y",
+    "-i", inputPath,
+    "-vf", [...filters, ...fitFilters(aspectRatio)].join(","),
+    "-frames:v", "1",
+    "-map_metadata", "-1",
+    "-q:v", "2",
+    outputPath
+  ];
+}
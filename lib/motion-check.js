@@ -0,0 +1,65 @@
+// ==============================================================================
+// MOTION CHECK — did the provider's video actually move?
+// ==============================================================================
+//
+// Kling sometimes returns a video that is (nearly) the still photo, mostly for
+// abstract prompts. This measures how much of the picture changes over time:
+//
+//   - frames FRAME_STEP apart (1/6 s at 24 fps) are compared on a small
+//     grayscale copy (ffmpeg tblend difference)
+//   - a pixel counts as changed when its brightness moved by more than
+//     CHANGE_LEVEL of 255, which compression noise doesn't reach
+//   - each pair of frames gives the share of changed pixels (%)
+//
+// A still comes out at 0%, a single blink in a portrait at about 0.2% for a
+// pair or two, ordinary motion at several %. A video is near-static when no
+// pair reaches minChangedPct.
+
+export const MOTION_DEFAULTS = { minChangedPct: 0.1 };
+
+const ANALYSIS_WIDTH = 160;
+const FRAME_STEP = 4;
+const CHANGE_LEVEL = 12;
+
+// ffmpeg arguments that print one "lavfi.signalstats.YAVG=<n>" line per
+// compared pair to stdout; YAVG / 255 is the share of changed pixels
+export function motionArgs(inputPath) {
+  return [
+    "-v", "error",
+    "-i", inputPath,
+    "-an",
+    "-vf",
+    `scale=${ANALYSIS_WIDTH}:-2,format=gray,framestep=${FRAME_STEP},` +
+      "tblend=all_mode=difference," +
+      `lutyuv=y='if(gt(val\\,${CHANGE_LEVEL})\\,255\\,0)',` +
+      "signalstats,metadata=print:key=lavfi.signalstats.YAVG:file=-",
+    "-f", "null", "-"
+  ];
+}
+
+// { samples, peakPct, meanPct, movingSamples } from motionArgs' output
+export function parseMotionStats(output, { minChangedPct = MOTION_DEFAULTS.minChangedPct } = {}) {
+  const values = [...String(output).matchAll(/lavfi\.signalstats\.YAVG=([\d.]+)/g)].map(
+    (match) => (Number(match[1]) / 255) * 100
+  );
+  const round = (pct) => Math.round(pct * 1000) / 1000;
+
+  return {
+    samples: values.length,
+    peakPct: round(values.length ? Math.max(...values) : 0),
+    meanPct: round(values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0),
+    movingSamples: values.filter((v) => v >= minChangedPct).length
+  };
+}
+
+// Motion stats for a local video file
+export async function measureMotion({ inputPath, runFfmpeg, minChangedPct = MOTION_DEFAULTS.minChangedPct }) {
+  const output = await runFfmpeg(motionArgs(inputPath));
+  return parseMotionStats(output, { minChangedPct });
+}
+
+// True when nothing visibly moved. A video too short to compare any frames
+// isn't judged (false): that is a broken file, not a still.
+export function isNearStatic(stats, { minChangedPct = MOTION_DEFAULTS.minChangedPct } = {}) {
+  return stats.samples > 0 && stats.peakPct < minChangedPct;
+}
@@ -0,0 +1,282 @@
+// ==============================================================================
+// PHOTO PREP — getting scans of old prints ready to animate
+// ==============================================================================
+//
+// Steps (each can be switched off, see PREP_DEFAULTS):
+//   crop       : find the print inside a white or black scanner border and
+//                crop to it, so Kling doesn't animate the border
+//   straighten : measure a slight tilt (up to 6°) from the print's edges and
+//                rotate it level
+//   denoise    : light hqdn3d pass for film grain and scanner noise
+//   normalize  : stretch faded contrast and pull out a yellow / blue cast
+//                (ffmpeg normalize)
+//
+// Detection runs on a small grayscale copy: ffmpeg writes raw pixels to
+// stdout (grayFrameArgs) and the border, tilt and crop box are found here.
+// Results are fractions / angles, so they apply to the full-size photo too.
+// Crop and straighten only do something when there is a fairly uniform
+// border around the print to measure against.
+
+import { fitArgs } from "./images.js";
+
+export const PREP_DEFAULTS = { crop: true, straighten: true, denoise: false, normalize: true };
+
+const ANALYSIS_MAX_SIDE = 512;
+const MAX_TILT_DEG = 6;
+const MIN_TILT_DEG = 0.25;
+const MAX_CROP_PER_SIDE = 0.25; // more than this is probably the photo, not a border
+const CROP_INSET = 0.01;        // trims the soft / deckled edge of the print
+
+const DEG = Math.PI / 180;
+
+// Size of the grayscale analysis frame for a photo of width x height
+export function analysisSize({ width, height }) {
+  const k = Math.min(1, ANALYSIS_MAX_SIDE / Math.max(width, height));
+  return { width: Math.max(16, Math.round(width * k)), height: Math.max(16, Math.round(height * k)) };
+}
+
+// ffmpeg arguments that write the analysis frame (8-bit gray, raw) to stdout,
+// optionally rotated by `angle` radians first (to measure the crop after
+// straightening)
+export function grayFrameArgs(inputPath, size, { angle = 0, fill = "white" } = {}) {
+  const filters = [`scale=${size.width}:${size.height}`];
+  if (angle) filters.push(`rotate=${angle.toFixed(5)}:fillcolor=${fill}`);
+  filters.push("format=gray");
+
+  return ["-v", "error", "-i", inputPath, "-vf", filters.join(","), "-frames:v", "1", "-f", "rawvideo", "pipe:1"];
+}
+
+// ---- DETECTION ----
+
+function pixel(img, x, y) {
+  return img.data[y * img.width + x];
+}
+
+function isContent(value, border) {
+  return Math.abs(value - border.level) > border.tolerance;
+}
+
+// Border from the outer ring of the frame: { kind, level, tolerance, fill }
+// when the ring is a fairly uniform white or black, otherwise null
+export function detectBorder(img) {
+  const { width, height } = img;
+  const ring = Math.max(2, Math.round(Math.min(width, height) * 0.015));
+  const values = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < ring || y < ring || x >= width - ring || y >= height - ring) values.push(pixel(img, x, y));
+    }
+  }
+  values.sort((a, b) => a - b);
+
+  const level = values[values.length >> 1];
+  const kind = level >= 175 ? "white" : level <= 55 ? "black" : null;
+  if (!kind) return null;
+
+  const tolerance = 36;
+  const uniform = values.filter((v) => Math.abs(v - level) <= tolerance).length / values.length;
+  if (uniform < 0.8) return null;
+
+  const hex = level.toString(16).padStart(2, "0");
+  return { kind, level, tolerance, fill: `0x${hex}${hex}${hex}` };
+}
+
+// Index of the first content pixel; three in a row, so a dust speck on the
+// border doesn't count. -1 if the line is all border.
+function firstContent(values, border) {
+  let run = 0;
+  for (let i = 0; i < values.length; i++) {
+    run = isContent(values[i], border) ? run + 1 : 0;
+    if (run === 3) return i - 2;
+  }
+  return -1;
+}
+
+function row(img, y) {
+  return img.data.subarray(y * img.width, (y + 1) * img.width);
+}
+
+function column(img, x) {
+  const values = new Uint8Array(img.height);
+  for (let y = 0; y < img.height; y++) values[y] = pixel(img, x, y);
+  return values;
+}
+
+function fitLine(points) {
+  const n = points.length;
+  const meanT = points.reduce((sum, [t]) => sum + t, 0) / n;
+  const meanP = points.reduce((sum, [, p]) => sum + p, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const [t, p] of points) {
+    num += (t - meanT) * (p - meanP);
+    den += (t - meanT) ** 2;
+  }
+  const slope = den ? num / den : 0;
+  return { slope, residual: ([t, p]) => Math.abs(p - meanP - slope * (t - meanT)) };
+}
+
+// Slope of the edge points (t, p). Bright or dark patches of the photo
+// touching the border push single points inwards, so the fit is repeated
+// without the points far off the line. null when there is no clear straight
+// edge.
+function edgeSlope(points, span) {
+  if (points.length < 12) return null;
+
+  const sorted = points.map(([, p]) => p).sort((a, b) => a - b);
+  if (sorted[sorted.length >> 1] < 2) return null; // the print runs off the frame on this side
+
+  const tolerance = Math.max(2, span * 0.008);
+  let kept = points;
+  let line = fitLine(kept);
+  for (const cutoff of [span * 0.05, tolerance * 2, tolerance]) {
+    kept = kept.filter((point) => line.residual(point) <= cutoff);
+    if (kept.length < points.length * 0.4) return null;
+    line = fitLine(kept);
+  }
+  return line.slope;
+}
+
+// Clockwise tilt of the print in radians (0 if level or not measurable).
+// Each visible edge gives an estimate; at least two have to agree.
+export function measureTilt(img, border) {
+  const { width, height } = img;
+  const sides = { left: [], right: [], top: [], bottom: [] };
+
+  for (let y = Math.round(height * 0.2); y < height * 0.8; y++) {
+    const values = row(img, y);
+    const left = firstContent(values, border);
+    if (left < 0) continue;
+    sides.left.push([y, left]);
+    sides.right.push([y, firstContent(values.slice().reverse(), border)]);
+  }
+  for (let x = Math.round(width * 0.2); x < width * 0.8; x++) {
+    const values = column(img, x);
+    const top = firstContent(values, border);
+    if (top < 0) continue;
+    sides.top.push([x, top]);
+    sides.bottom.push([x, firstContent(values.slice().reverse(), border)]);
+  }
+
+  // Clockwise tilt: the top edge drops to the right (y grows with x), the
+  // left edge leans left going down (x shrinks with y). Right / bottom are
+  // measured from the far side, which flips their sign again.
+  const estimates = [
+    [edgeSlope(sides.top, height), 1],
+    [edgeSlope(sides.bottom, height), -1],
+    [edgeSlope(sides.left, width), -1],
+    [edgeSlope(sides.right, width), 1]
+  ]
+    .filter(([slope]) => slope !== null)
+    .map(([slope, sign]) => sign * Math.atan(slope))
+    .sort((a, b) => a - b);
+
+  const median = estimates[estimates.length >> 1];
+  const agreeing = estimates.filter((estimate) => Math.abs(estimate - median) <= 0.75 * DEG);
+  if (agreeing.length < 2) return 0;
+
+  const tilt = agreeing.reduce((sum, estimate) => sum + estimate, 0) / agreeing.length;
+  return Math.abs(tilt) < MIN_TILT_DEG * DEG || Math.abs(tilt) > MAX_TILT_DEG * DEG ? 0 : tilt;
+}
+
+// Box of the print inside the border, as fractions of the frame:
+// { x, y, width, height }, or null if there is nothing worth cropping
+export function findPrintBox(img, border) {
+  const { width, height } = img;
+  const contentShare = (values) => values.reduce((n, v) => n + (isContent(v, border) ? 1 : 0), 0) / values.length;
+
+  // Border lines are (nearly) all border; a tenth of content is the print
+  const firstFrom = (count, lineAt) => {
+    for (let i = 0; i < count; i++) {
+      if (contentShare(lineAt(i)) >= 0.1) return i;
+    }
+    return 0;
+  };
+
+  let left = firstFrom(width, (i) => column(img, i));
+  let right = firstFrom(width, (i) => column(img, width - 1 - i));
+  let top = firstFrom(height, (i) => row(img, i));
+  let bottom = firstFrom(height, (i) => row(img, height - 1 - i));
+
+  // A "border" eating a quarter of the frame is more likely a bright sky or
+  // a dark background; leave that side alone
+  if (left > width * MAX_CROP_PER_SIDE) left = 0;
+  if (right > width * MAX_CROP_PER_SIDE) right = 0;
+  if (top > height * MAX_CROP_PER_SIDE) top = 0;
+  if (bottom > height * MAX_CROP_PER_SIDE) bottom = 0;
+
+  if (Math.max(left / width, right / width, top / height, bottom / height) < 0.005) return null;
+
+  const box = {
+    x: left / width + CROP_INSET,
+    y: top / height + CROP_INSET,
+    width: (width - left - right) / width - 2 * CROP_INSET,
+    height: (height - top - bottom) / height - 2 * CROP_INSET
+  };
+  return box.width * box.height >= 0.5 ? box : null;
+}
+
+// What prep will do to a photo: { border, angle, crop, denoise, normalize }.
+// angle is the correction in radians (ffmpeg rotate: positive = clockwise).
+// runFfmpeg(args) -> Promise<Buffer of stdout> is the caller's ffmpeg runner.
+export async function planPrep({ inputPath, width, height, options, runFfmpeg }) {
+  const { crop, straighten, denoise, normalize } = { ...PREP_DEFAULTS, ...options };
+  const plan = { border: null, angle: 0, crop: null, denoise: !!denoise, normalize: !!normalize };
+  if (!crop && !straighten) return plan;
+
+  const size = analysisSize({ width, height });
+  const grayFrame = async (opts) => {
+    const data = await runFfmpeg(grayFrameArgs(inputPath, size, opts));
+    if (data.length !== size.width * size.height) {
+      throw new Error(`Unexpected analysis frame size (${data.length} bytes for ${size.width}x${size.height})`);
+    }
+    return { data, width: size.width, height: size.height };
+  };
+
+  let frame = await grayFrame();
+  const border = detectBorder(frame);
+  if (!border) return plan;
+  plan.border = { kind: border.kind, fill: border.fill };
+
+  if (straighten) {
+    plan.angle = -measureTilt(frame, border);
+    if (plan.angle) frame = await grayFrame({ angle: plan.angle, fill: border.fill });
+  }
+  if (crop) {
+    plan.crop = findPrintBox(frame, border);
+  }
+  return plan;
+}
+
+// Size of the photo once the plan's crop is applied
+export function preparedSize({ width, height }, plan) {
+  return plan.crop
+    ? { width: Math.round(width * plan.crop.width), height: Math.round(height * plan.crop.height) }
+    : { width, height };
+}
+
+// ffmpeg filters for a plan, ahead of fitFilters (lib/images.js)
+export function prepFilters(plan) {
+  const filters = [];
+  if (plan.angle) {
+    filters.push(`rotate=${plan.angle.toFixed(5)}:fillcolor=${plan.border?.fill || "white"}`);
+  }
+  if (plan.crop) {
+    const { x, y, width, height } = plan.crop;
+    const f = (n) => n.toFixed(4);
+    filters.push(`crop=floor(iw*${f(width)}/2)*2:floor(ih*${f(height)}/2)*2:iw*${f(x)}:ih*${f(y)}`);
+  }
+  if (plan.denoise) {
+    filters.push("hqdn3d=4:3:0:0");
+  }
+  if (plan.normalize) {
+    filters.push("normalize=blackpt=black:whitept=white:smoothing=0:independence=0.6:strength=0.85");
+  }
+  return filters;
+}
+
+// The prepared photo, fitted to `aspectRatio` like any upload
+export function prepArgs(inputPath, outputPath, plan, aspectRatio) {
+  return fitArgs(inputPath, outputPath, { aspectRatio, filters: prepFilters(plan) });
+}
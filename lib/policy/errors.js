@@ -0,0 +1,11 @@
+// A classifier that couldn't decide (request failed, unreadable answer).
+//   code    : machine-readable reason ("classifier_failed", "bad_answer")
+//   details : raw response, kept for logs and the decision record
+export class PolicyError extends Error {
+  constructor(code, message, { details = null } = {}) {
+    super(message);
+    this.name = "PolicyError";
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,114 @@
+// ==============================================================================
+// GEMINI CLASSIFIER - asks Gemini whether a photo and prompt may be animated
+// ==============================================================================
+//
+// Gemini answers in JSON (structured output) with the categories it found,
+// out of the ones createClassifier passes in (CATEGORIES in index.js).
+// Anything it can't answer throws PolicyError; the caller decides what a
+// failed check means for the render.
+
+import { PolicyError } from "./errors.js";
+
+const GEMINI_ENDPOINT = "https://generativelanguage.googleapis.com/v1beta/models";
+const GEMINI_DEFAULT_MODEL = "gemini-2.5-flash";
+
+export function createGeminiClassifier({
+  apiKey,
+  categories,
+  model = GEMINI_DEFAULT_MODEL,
+  endpoint = GEMINI_ENDPOINT
+} = {}) {
+  const label = "Gemini classifier";
+
+  const schema = {
+    type: "OBJECT",
+    properties: {
+      allowed: { type: "BOOLEAN" },
+      categories: { type: "ARRAY", items: { type: "STRING", enum: Object.keys(categories) } },
+      reason: { type: "STRING" }
+    },
+    required: ["allowed", "categories"]
+  };
+
+  // Categories checkPrompt flagged in the prompt's wording; Gemini judges
+  // whether the prompt really asks for them
+  function flaggedNote(flagged) {
+    if (!flagged.length) return "";
+    return `
+Some words in the prompt can point to: ${flagged.join(", ")}. Decide from the
+whole prompt and the photo whether it really asks for that; everyday uses
+("cut the cake with a knife", "a blood orange sunset") are allowed.
+`;
+  }
+
+  function instructions(prompt, flagged) {
+    return `
+You review photos for a service that turns a photo of people into a short, subtle video.
+
+Decide whether this photo may be animated with the prompt below. Refuse it
+(allowed: false) if it falls in any of these categories:
+${Object.entries(categories).map(([key, description]) => `- ${key}: ${description}`).join("\n")}
+
+Ordinary family, couple, wedding, baby and old photos are allowed, and so
+are swimwear and beach photos that are not sexual. List every category
+found; reason is one short sentence in English.
+${flaggedNote(flagged)}
+PROMPT:
+${prompt || "(none)"}
+`.trim();
+  }
+
+  async function classify({ imageBase64, mimeType = "image/jpeg", prompt = "", flagged = [] }) {
+    if (!apiKey) {
+      throw new PolicyError("classifier_failed", `${label} has no API key (GEMINI_API_KEY).`);
+    }
+
+    let resp;
+    try {
+      resp = await fetch(`${endpoint}/${model}:generateContent?key=${apiKey}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          contents: [{ parts: [{ inlineData: { mimeType, data: imageBase64 } }, { text: instructions(prompt, flagged) }] }],
+          generationConfig: { responseMimeType: "application/json", responseSchema: schema }
+        })
+      });
+    } catch (err) {
+      throw new PolicyError("classifier_failed", `${label} request failed: ${err.message}`);
+    }
+
+    const body = await resp.json().catch(() => null);
+    if (!resp.ok) {
+      throw new PolicyError("classifier_failed", `${label} returned HTTP ${resp.status}.`, { details: body });
+    }
+
+    // A prompt Gemini itself refuses to look at comes back without text
+    const candidate = body?.candidates?.[0];
+    const blockReason = body?.promptFeedback?.blockReason;
+    if (blockReason || candidate?.finishReason === "SAFETY") {
+      return { allowed: false, categories: [], reason: `Refused by Gemini (${blockReason || "SAFETY"})`, raw: body };
+    }
+
+    const text = candidate?.content?.parts?.find((p) => typeof p.text === "string")?.text;
+    let answer;
+    try {
+      answer = JSON.parse(text);
+    } catch {
+      throw new PolicyError("bad_answer", `${label} did not answer in JSON.`, { details: body });
+    }
+    if (typeof answer?.allowed !== "boolean") {
+      throw new PolicyError("bad_answer", `${label} answer has no "allowed".`, { details: answer });
+    }
+
+    const found = (Array.isArray(answer.categories) ? answer.categories : []).filter((c) => Object.hasOwn(categories, c));
+    return {
+      // A category found refuses the photo even if Gemini said allowed
+      allowed: answer.allowed && found.length === 0,
+      categories: found,
+      reason: typeof answer.reason === "string" ? answer.reason : null,
+      raw: answer
+    };
+  }
+
+  return { name: "gemini", label, classify };
+}
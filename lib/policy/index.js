@@ -0,0 +1,115 @@
+/*
+================================================================================
+  CONTENT POLICY — what may be sent to the video model
+================================================================================
+
+Before a render starts, /animate_photo runs three checks in this order and
+stops at the first that fails:
+
+  1. attestation : the customer confirmed they have the right to animate the
+                   people in the photo (their own photo, or those pictured
+                   agreed / are in their care)
+  2. prompt      : the description doesn't plainly ask for nudity, violence
+                   or a change of identity (checkPrompt below)
+  3. image       : a classifier finds nothing disallowed in the photo and the
+                   final prompt; words that only might mean something
+                   disallowed ("knife", "blood") are passed to it as flagged
+                   categories for it to judge in context
+
+Every classifier implements the same small interface:
+
+  classifier.name                 : short id ("gemini", "stub")
+  classifier.label                : human name used in logs
+  classifier.classify(input)      : input = { imageBase64, mimeType, prompt,
+                                              flagged }
+                                    flagged = categories checkPrompt flagged
+                                    -> { allowed, categories, reason, raw }
+                                    categories = keys of CATEGORIES found
+                                    throws PolicyError when it can't decide
+
+Pick the classifier with POLICY_CLASSIFIER ("gemini" in production, "stub"
+for offline runs and tests).
+
+================================================================================
+*/
+
+import { PolicyError } from "./errors.js";
+import { createGeminiClassifier } from "./gemini.js";
+import { createStubClassifier } from "./stub.js";
+
+export { PolicyError };
+
+// What gets a render refused
+export const CATEGORIES = {
+  nudity: "Nudity or sexual content",
+  violence: "Violence, gore or weapons used against people",
+  minors: "A child shown in a sexual or unsafe way",
+  hate: "Hateful symbols or gestures",
+  identity_change: "Changing who someone is (face swap, another person, age or gender change)"
+};
+
+const factories = {
+  gemini: createGeminiClassifier,
+  stub: createStubClassifier
+};
+
+export function createClassifier(name, options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown policy classifier "${name}" (expected one of: ${Object.keys(factories).join(", ")})`);
+  }
+  return factory({ categories: CATEGORIES, ...options });
+}
+
+// English phrases per category; descriptions in other languages are
+// translated before they are checked.
+//   block  : phrases that only ever mean the one thing ("naked", "face swap")
+//   review : words that usually don't ("cut the cake with a knife", "a blood
+//            orange sunset", "confetti explodes", "strips the paint"); they
+//            never refuse a render, the classifier decides them in context
+const PROMPT_RULES = {
+  nudity: {
+    block: [
+      /\b(nude|nudes|nudity|naked|topless|bottomless|nsfw|porn\w*)\b/i,
+      /\b(undress(es|ed|ing)?|strip(s|ped|ping)? naked)\b/i,
+      /\b(take|takes|taking|took) off (all )?(his|her|their) clothes\b/i
+    ],
+    review: [/\b(sexy|sexual\w*|erotic\w*|lingerie|unclothed|strip(s|ped|ping)?)\b/i]
+  },
+  violence: {
+    block: [
+      /\b(behead\w*|decapitat\w*|dismember\w*)\b/i,
+      /\b(kill(s|ed|ing)?|murder(s|ed|ing)?|stab(s|bed|bing)?|strangl(e|es|ed|ing)) (him|her|them|each other|the (man|woman|child|baby|boy|girl))\b/i
+    ],
+    review: [
+      /\b(kill\w*|murder\w*|stab\w*|strangl\w*|tortur\w*|blood\w*|bleed\w*|gore|gory|corpse|dead body)\b/i,
+      /\b(shoot(s|ing)?|punch(es|ed|ing)?|slap(s|ped|ping)?|beat(s|ing)?) (him|her|them|each other)\b/i,
+      /\b(gun|guns|pistol|rifle|knife|knives|weapon\w*|explo(de|des|ded|sion|sions))\b/i
+    ]
+  },
+  identity_change: {
+    block: [
+      /\b(face ?swap\w*|swap(s|ped|ping)? (the |their |his |her )?faces?|deep ?fake\w*)\b/i,
+      /\b(change|changes|changing|replace|replaces|replacing) (his|her|their) (face|gender|sex|race|skin colou?r|identity)\b/i,
+      /\b(gender|sex) (swap|change)\b/i
+    ],
+    review: [
+      /\binto (a |an |another |someone )?(different |other )?(person|man|woman|boy|girl|child|baby|celebrity|else)\b/i,
+      /\b(make|makes|making) (him|her|them|the \w+) (look|looks) (like|younger|older)\b/i,
+      /\b(another|a different) (person|face|man|woman)\b/i
+    ]
+  }
+};
+
+// What a description asks for, e.g. { blocked: [], flagged: ["violence"] }:
+// blocked categories refuse the render, flagged ones go to the classifier
+export function checkPrompt(text) {
+  const value = String(text || "");
+  const matching = (tier) =>
+    Object.entries(PROMPT_RULES)
+      .filter(([, rules]) => rules[tier].some((rule) => rule.test(value)))
+      .map(([category]) => category);
+
+  const blocked = matching("block");
+  return { blocked, flagged: matching("review").filter((category) => !blocked.includes(category)) };
+}
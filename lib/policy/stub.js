@@ -0,0 +1,32 @@
+// ==============================================================================
+// STUB CLASSIFIER - offline stand-in for the Gemini content check
+// ==============================================================================
+//
+// Allows every photo, so renders can be run without a Gemini key. Set
+// POLICY_STUB_BLOCK to a list of categories ("nudity,violence") to make it
+// block every photo with them instead, or POLICY_STUB_FAIL=1 to make it fail,
+// to exercise the blocked-render and hold-release paths.
+
+import { PolicyError } from "./errors.js";
+
+export function createStubClassifier({
+  block = process.env.POLICY_STUB_BLOCK || "",
+  fail = process.env.POLICY_STUB_FAIL === "1"
+} = {}) {
+  const categories = String(block)
+    .split(",")
+    .map((category) => category.trim())
+    .filter(Boolean);
+
+  async function classify() {
+    if (fail) {
+      throw new PolicyError("classifier_failed", "Stub classifier set to fail (POLICY_STUB_FAIL=1).");
+    }
+
+    const allowed = categories.length === 0;
+    const raw = { allowed, categories };
+    return { allowed, categories, reason: allowed ? null : "Blocked by POLICY_STUB_BLOCK", raw };
+  }
+
+  return { name: "stub", label: "Stub classifier", classify };
+}
@@ -0,0 +1,251 @@
+// ==============================================================================
+// PROMPT COMPOSER — the Kling prompt, built from motion presets
+// ==============================================================================
+//
+// The final prompt is, in this order:
+//   1. the customer's own description, with speech words taken out
+//   2. one sentence per chosen motion preset, at its intensity, for everyone
+//      or for one person in the photo
+//   3. the constraints (no speech, no camera move, nothing changes but the
+//      motion)
+//
+// When no preset is chosen and the description has no visible motion of its
+// own, DEFAULT_MOTIONS are used so the video doesn't come out as a still.
+//
+// This file is shared: the server imports it, and the page loads it from
+// /prompt-composer.js for the preset picker, the prompt preview and the
+// "too abstract" warning. Keep it free of Node and browser APIs.
+//
+// CONSTRAINTS.version is stored with every job (see promptSpec); bump it
+// whenever the rules or the preset sentences change, so renders can be
+// compared by the wording they were made with (test/prompt-composer.test.js
+// fails until it is).
+
+export const CONSTRAINTS = {
+  version: 2,
+  rules: [
+    "No talking, no forming words, no lip-sync, and no sound.",
+    "The mouth may move naturally but must not articulate speech.",
+    "No camera movement.",
+    "Do not change clothing, lighting, background, or identity."
+  ]
+};
+
+export const INTENSITIES = {
+  subtle: { label: "Subtle" },
+  natural: { label: "Natural" },
+  strong: { label: "Strong" }
+};
+
+// Who a motion is for; `who` is what the sentence calls them
+export const TARGETS = {
+  all: { label: "Everyone", who: "each person" },
+  left: { label: "Person on the left", who: "the person on the left" },
+  center: { label: "Person in the middle", who: "the person in the middle" },
+  right: { label: "Person on the right", who: "the person on the right" }
+};
+
+// One sentence per intensity; {who} is replaced by the target
+export const MOTION_PRESETS = {
+  blink: {
+    label: "Blink",
+    subtle: "{who} blinks once, slowly.",
+    natural: "{who} blinks twice with full, natural blinks.",
+    strong: "{who} blinks clearly three times, fully closing the eyes each time."
+  },
+  smile: {
+    label: "Smile",
+    subtle: "{who} gives a faint, closed-mouth smile.",
+    natural: "{who} smiles softly, the cheeks lifting a little.",
+    strong: "{who} breaks into a warm, clearly visible smile."
+  },
+  head_turn: {
+    label: "Head turn",
+    subtle: "{who} turns the head very slightly to one side and back.",
+    natural: "{who} turns the head a little to one side, then back toward the front.",
+    strong: "{who} turns the head clearly to one side, pauses, then turns back toward the front."
+  },
+  gaze_shift: {
+    label: "Gaze shift",
+    subtle: "{who} glances briefly to the side and back.",
+    natural: "{who} looks to the side, then back toward the front.",
+    strong: "{who} looks clearly away to the side, then returns the gaze toward the front."
+  },
+  breathing: {
+    label: "Breathing",
+    subtle: "{who} breathes gently, the chest rising slightly.",
+    natural: "{who} takes a slow breath, the shoulders rising and settling.",
+    strong: "{who} takes a deep, visible breath, the chest and shoulders rising and falling."
+  },
+  hair_breeze: {
+    label: "Hair in a breeze",
+    subtle: "A faint breeze barely moves the hair of {who}.",
+    natural: "A light breeze gently moves the hair of {who}.",
+    strong: "A steady breeze visibly sways the hair of {who}."
+  }
+};
+
+// Kinds of photo /suggest-prompts tells apart, and the presets that suit
+// each best (the page offers those first)
+export const SCENES = {
+  couple: { label: "Couple", motions: ["smile", "gaze_shift", "blink"] },
+  parentBaby: { label: "Parent and baby", motions: ["blink", "breathing", "smile"] },
+  friends: { label: "Friends", motions: ["smile", "head_turn", "blink"] },
+  portrait: { label: "Portrait", motions: ["blink", "smile", "hair_breeze"] },
+  general: { label: "Group", motions: ["blink", "breathing", "head_turn"] }
+};
+
+export const DEFAULT_MOTIONS = [
+  { preset: "blink", intensity: "natural", target: "all" },
+  { preset: "breathing", intensity: "subtle", target: "all" },
+  { preset: "head_turn", intensity: "subtle", target: "all" }
+];
+
+const MAX_MOTIONS = 8;
+
+// A motion list we can't compose.
+//   code    : machine-readable reason ("unknown_preset", ...), also its
+//             message in the translation catalogs ("errors.prompt.<code>")
+//   message : safe to show the user (English)
+//   params  : values the message is filled in with
+export class PromptError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = "PromptError";
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// ---- TEXT CHECKS ----
+
+const SPEECH_WORDS =
+  /\b(talk|talks|talking|speak|speaks|speaking|say|says|said|saying|whisper|whispers|whispering|sing|sings|singing|lyrics|dialogue|conversation|lip\s*sync|lipsync|dub|voice|words|mouthing|mouths)\b/gi;
+
+// Word starts, so "smil" covers smile, smiles and smiling
+const MOTION_WORDS = [
+  "blink", "eye", "look", "gaze", "glanc",
+  "smil", "grin", "head", "nod", "tilt", "turn",
+  "breath", "shift", "adjust", "lean", "wave", "breeze"
+];
+
+const ABSTRACT_WORDS = [
+  "feel", "feels", "feeling",
+  "emotion", "emotions", "emotional",
+  "vibe", "nostalgia", "memory", "moment",
+  "beautiful", "meaningful", "love", "happy", "sad"
+];
+
+function words(text) {
+  return String(text || "").toLowerCase().match(/[a-z']+/g) || [];
+}
+
+// localWords: the same idea in the text's language, e.g. ["spricht", "singt"]
+// (locales/<lang>.json "speechWords"); whole words, any case
+export function containsSpeech(text, localWords = []) {
+  const value = String(text || "");
+  if (new RegExp(SPEECH_WORDS.source, "i").test(value)) return true;
+  if (!localWords.length) return false;
+
+  // \b only knows ASCII letters, so "flüstert" needs Unicode-aware edges
+  const alternatives = localWords.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+  return new RegExp(`(?<!\\p{L})(?:${alternatives})(?!\\p{L})`, "iu").test(value);
+}
+
+// The description without speech words (mouth movement itself is fine)
+export function stripSpeech(text) {
+  return String(text || "").replace(SPEECH_WORDS, "").replace(/\s+/g, " ").replace(/\s+([.,!?])/g, "$1").trim();
+}
+
+// Does the text ask for something that visibly moves?
+export function hasVisibleMotion(text) {
+  return words(text).some((word) => MOTION_WORDS.some((motion) => word.startsWith(motion)));
+}
+
+// Abstract ("a nostalgic moment") or very short text with no visible motion
+// tends to come back from Kling as a still; the page warns about it
+export function looksTooWeak(text) {
+  const list = words(text);
+  const abstract = list.some((word) => ABSTRACT_WORDS.includes(word));
+  const veryShort = String(text || "").trim().length < 18;
+  return (abstract || veryShort) && !hasVisibleMotion(text);
+}
+
+// ---- COMPOSING ----
+
+// Checked copy of a motion list from a request: { preset, intensity, target }
+// with defaults filled in, one entry per preset and target.
+// Throws PromptError on anything unknown.
+export function normalizeMotions(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) {
+    throw new PromptError("invalid_motions", "Motions must be a list.");
+  }
+  if (list.length > MAX_MOTIONS) {
+    throw new PromptError("too_many_motions", `Please choose at most ${MAX_MOTIONS} motions.`, { max: MAX_MOTIONS });
+  }
+
+  const seen = new Set();
+  const motions = [];
+  for (const item of list) {
+    const { preset, intensity = "natural", target = "all" } = typeof item === "string" ? { preset: item } : item || {};
+    if (!Object.hasOwn(MOTION_PRESETS, preset)) {
+      throw new PromptError("unknown_preset", `Unknown motion "${preset}".`, { value: preset });
+    }
+    if (!Object.hasOwn(INTENSITIES, intensity)) {
+      throw new PromptError("unknown_intensity", `Unknown intensity "${intensity}".`, { value: intensity });
+    }
+    if (!Object.hasOwn(TARGETS, target)) {
+      throw new PromptError("unknown_target", `Unknown person "${target}".`, { value: target });
+    }
+
+    const key = `${preset}:${target}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    motions.push({ preset, intensity, target });
+  }
+  return motions;
+}
+
+function capitalize(sentence) {
+  return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+}
+
+export function motionSentence({ preset, intensity = "natural", target = "all" }) {
+  return capitalize(MOTION_PRESETS[preset][intensity].replace("{who}", TARGETS[target].who));
+}
+
+// What a job was asked for: { version, description, motions }. Stored with
+// the job; composePrompt(spec) gives the same prompt again. The description
+// is in English: the server translates others first and keeps the customer's
+// text as originalDescription.
+export function promptSpec({ description = "", motions = [] } = {}) {
+  return {
+    version: CONSTRAINTS.version,
+    description: String(description || "").trim(),
+    motions: normalizeMotions(motions)
+  };
+}
+
+// The same spec one intensity step stronger, for a render that came back
+// without visible motion: every preset goes up a step, and DEFAULT_MOTIONS
+// are added when none were chosen. null when everything is already "strong".
+export function strongerSpec(spec) {
+  const order = Object.keys(INTENSITIES);
+  const motions = (spec.motions.length ? spec.motions : DEFAULT_MOTIONS).map((motion) => ({
+    ...motion,
+    intensity: order[Math.min(order.indexOf(motion.intensity) + 1, order.length - 1)]
+  }));
+
+  const changed = !spec.motions.length || motions.some((motion, i) => motion.intensity !== spec.motions[i].intensity);
+  return changed ? { ...spec, motions } : null;
+}
+
+// The prompt sent to Kling for a description and a (normalized) motion list
+export function composePrompt({ description = "", motions = [] } = {}) {
+  let base = stripSpeech(description);
+  if (base && !/[.!?]$/.test(base)) base += ".";
+
+  const chosen = motions.length || hasVisibleMotion(base) ? motions : DEFAULT_MOTIONS;
+  return [base, ...chosen.map(motionSentence), ...CONSTRAINTS.rules].filter(Boolean).join(" ");
+}
@@ -0,0 +1,14 @@
+// Failure from an image-to-video provider.
+//   code      : machine-readable reason ("auth", "rate_limited", "timeout", ...)
+//   details   : raw provider response, kept for logs and the job record
+//   retryable : true when trying again later may succeed
+export class ProviderError extends Error {
+  constructor(code, message, { details = null, retryable = false, httpStatus = null } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.code = code;
+    this.details = details;
+    this.retryable = retryable;
+    this.httpStatus = httpStatus;
+  }
+}
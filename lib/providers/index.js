@@ -0,0 +1,102 @@
+/*
+================================================================================
+  IMAGE-TO-VIDEO PROVIDERS
+================================================================================
+
+Every backend implements the same small interface, so /animate_photo never
+needs to know which model it is talking to:
+
+  provider.name            : short id ("kling", "mock")
+  provider.label           : human name used in error messages
+  provider.pollIntervalMs  : how long to wait between status checks
+  provider.maxWaitMs       : give up after this long
+  provider.create(input)   : start a generation
+                             input = { imageUrl, prompt, duration }
+                             -> { generationId, videoUrl, raw }
+  provider.poll(id)        : check a generation (also after a restart, so ids
+                             must stay valid outside the process that made them)
+                             -> { state, videoUrl, raw }
+                             state = "queued" | "rendering" | "succeeded" | "failed"
+  provider.extractResult(raw) : video URL from any provider response, or null
+  provider.mapError({ phase, httpStatus, body }) : ProviderError for a failure
+                             phase = "create" | "poll" | "generation"
+
+Pick the backend with VIDEO_PROVIDER (defaults to "kling").
+
+================================================================================
+*/
+
+import { ProviderError } from "./errors.js";
+import { createKlingProvider } from "./kling.js";
+import { createMockProvider } from "./mock.js";
+
+export { ProviderError };
+
+const factories = {
+  kling: createKlingProvider,
+  mock: createMockProvider
+};
+
+export function createProvider(name, options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown video provider "${name}" (expected one of: ${Object.keys(factories).join(", ")})`);
+  }
+  return factory(options);
+}
+
+// Start a generation and poll until the provider hands back a video URL.
+// onCreated(generationId, startedAt) runs before the first poll, so the id can
+// be stored and polling resumed with pollGeneration after a restart.
+// onStatus(state, raw) is called after creation and after every poll.
+export async function generateVideo(provider, input, { onCreated = () => {}, onStatus = () => {} } = {}) {
+  const created = await provider.create(input);
+  onStatus("queued", created.raw);
+
+  if (created.videoUrl) return created.videoUrl;
+
+  if (!created.generationId) {
+    throw new ProviderError(
+      "no_generation_id",
+      `${provider.label} did not return a video URL or generation ID.`,
+      { details: created.raw }
+    );
+  }
+
+  const startedAt = Date.now();
+  onCreated(created.generationId, startedAt);
+
+  return pollGeneration(provider, created.generationId, { startedAt, onStatus });
+}
+
+// Poll an existing generation until it succeeds, fails or runs past
+// provider.maxWaitMs counted from startedAt.
+export async function pollGeneration(provider, generationId, { startedAt = Date.now(), onStatus = () => {} } = {}) {
+  console.log(`⏳ Polling ${provider.label} status for id:`, generationId);
+
+  // Always poll at least once: a resumed generation may have finished while
+  // nobody was watching it
+  const deadline = Math.max(startedAt + provider.maxWaitMs, Date.now() + provider.pollIntervalMs);
+
+  while (Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, provider.pollIntervalMs));
+
+    const status = await provider.poll(generationId);
+
+    if (status.state === "succeeded" && status.videoUrl) {
+      console.log(`🎉 ${provider.label} job completed`);
+      return status.videoUrl;
+    }
+
+    if (status.state === "failed") {
+      throw provider.mapError({ phase: "generation", body: status.raw });
+    }
+
+    onStatus(status.state, status.raw);
+  }
+
+  console.error(`❌ Timed out waiting for ${provider.label} video`);
+  throw new ProviderError("timeout", `Timed out waiting for ${provider.label} video.`, {
+    retryable: true
+  });
+}
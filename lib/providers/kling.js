@@ -0,0 +1,144 @@
+// ==============================================================================
+// KLING (via AI/ML API) - image-to-video provider
+// ==============================================================================
+
+import { ProviderError } from "./errors.js";
+
+const KLING_ENDPOINT = "https://api.aimlapi.com/v2/generate/video/kling/generation";
+const KLING_DEFAULT_MODEL = "kling-video/v2.1/standard/image-to-video";
+
+export function createKlingProvider({
+  apiKey,
+  model = KLING_DEFAULT_MODEL,
+  endpoint = KLING_ENDPOINT
+} = {}) {
+  const label = "Kling";
+
+  // The AI/ML API has returned the video URL in several shapes over time
+  function extractResult(data) {
+    if (!data) return null;
+    return (
+      data.video?.url ||
+      data.video_url ||
+      data.output?.[0]?.url ||
+      data.result?.video_url ||
+      data.result?.output?.[0]?.url ||
+      null
+    );
+  }
+
+  function mapError({ phase, httpStatus = null, body = null }) {
+    if (httpStatus === 401 || httpStatus === 403) {
+      return new ProviderError("auth", `${label} rejected our API key.`, { details: body, httpStatus });
+    }
+    if (httpStatus === 429) {
+      return new ProviderError("rate_limited", `${label} is rate limiting requests.`, {
+        details: body,
+        httpStatus,
+        retryable: true
+      });
+    }
+    if (httpStatus >= 500) {
+      return new ProviderError("unavailable", `${label} is temporarily unavailable.`, {
+        details: body,
+        httpStatus,
+        retryable: true
+      });
+    }
+
+    switch (phase) {
+      case "create":
+        return new ProviderError("create_failed", `Failed to create ${label} generation job.`, {
+          details: body,
+          httpStatus
+        });
+      case "poll":
+        return new ProviderError("status_failed", `Error checking ${label} job status.`, {
+          details: body,
+          httpStatus
+        });
+      default:
+        return new ProviderError("generation_failed", `${label} generation failed.`, { details: body });
+    }
+  }
+
+  function stateFor(status) {
+    const s = String(status || "").toLowerCase();
+    if (s === "completed" || s === "succeeded") return "succeeded";
+    if (s === "failed" || s === "error") return "failed";
+    if (s === "queued" || s === "waiting" || s === "pending") return "queued";
+    return "rendering";
+  }
+
+  async function create({ imageUrl, prompt, duration = 5 }) {
+    console.log(`🔁 Creating ${label} job with model ${model}`);
+
+    const resp = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model,
+        image_url: imageUrl, // base64 data URL from the frontend
+        prompt,
+        type: "image-to-video",
+        duration: String(duration), // docs use a string
+      }),
+    });
+
+    if (!resp.ok) {
+      const errText = await resp.text();
+      console.error(`❌ ${label} create error:`, resp.status, errText);
+      throw mapError({ phase: "create", httpStatus: resp.status, body: errText });
+    }
+
+    const data = await resp.json();
+    console.log(`✅ ${label} create response:`, JSON.stringify(data, null, 2));
+
+    return {
+      generationId: data.generation_id || data.id || data.task_id || null,
+      videoUrl: extractResult(data),
+      raw: data
+    };
+  }
+
+  async function poll(generationId) {
+    const resp = await fetch(`${endpoint}?generation_id=${encodeURIComponent(generationId)}`, {
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        Accept: "application/json",
+      },
+    });
+
+    if (!resp.ok) {
+      const errText = await resp.text();
+      console.error(`❌ ${label} status error:`, resp.status, errText);
+      throw mapError({ phase: "poll", httpStatus: resp.status, body: errText });
+    }
+
+    const data = await resp.json();
+    console.log(`🔎 ${label} status:`, data.status || data);
+
+    const state = stateFor(data.status || data.state);
+    if (state === "failed") {
+      console.error(`❌ ${label} job failed:`, JSON.stringify(data, null, 2));
+    }
+
+    return { state, videoUrl: extractResult(data), raw: data };
+  }
+
+  return {
+    name: "kling",
+    label,
+    model,
+    pollIntervalMs: 10_000,
+    maxWaitMs: 5 * 60 * 1000, // 5 minutes
+    create,
+    poll,
+    extractResult,
+    mapError
+  };
+}
@@ -0,0 +1,90 @@
+// ==============================================================================
+// MOCK PROVIDER - deterministic, offline stand-in for a real video model
+// ==============================================================================
+//
+// Every generation goes queued -> rendering -> succeeded on successive polls
+// and returns the same fixture MP4 as a file:// URL. Set MOCK_PROVIDER_FAIL=1
+// to make every generation fail instead, to exercise the hold-release path.
+// Ids it has never seen (e.g. after a restart) start over from "queued", so
+// resumed renders can be tested too.
+
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { ProviderError } from "./errors.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURE = path.join(__dirname, "..", "..", "public", "gallery", "example5-video (1).mp4");
+
+// Polls needed before each state is reported
+const MOCK_STEPS = ["queued", "rendering", "succeeded"];
+
+export function createMockProvider({
+  fixturePath = process.env.MOCK_PROVIDER_VIDEO || DEFAULT_FIXTURE,
+  fail = process.env.MOCK_PROVIDER_FAIL === "1",
+  pollIntervalMs = 500
+} = {}) {
+  const label = "Mock provider";
+  const videoUrl = pathToFileURL(path.resolve(fixturePath)).href;
+
+  // generationId -> number of polls so far
+  const generations = new Map();
+  let counter = 0;
+
+  function extractResult(data) {
+    return data?.video?.url || null;
+  }
+
+  function mapError({ phase, body = null }) {
+    if (phase === "create") {
+      return new ProviderError("create_failed", `Failed to create ${label} generation job.`, { details: body });
+    }
+    if (phase === "poll") {
+      return new ProviderError("status_failed", `Error checking ${label} job status.`, { details: body });
+    }
+    return new ProviderError("generation_failed", `${label} generation failed.`, { details: body });
+  }
+
+  async function create({ imageUrl, prompt }) {
+    if (!imageUrl || !prompt) {
+      throw mapError({ phase: "create", body: "imageUrl and prompt are required" });
+    }
+
+    counter += 1;
+    const generationId = `mock-${Date.now()}-${counter}`;
+    generations.set(generationId, 0);
+
+    console.log(`🧪 ${label} created generation ${generationId}`);
+    return { generationId, videoUrl: null, raw: { generation_id: generationId, status: "queued" } };
+  }
+
+  async function poll(generationId) {
+    if (!String(generationId).startsWith("mock-")) {
+      throw mapError({ phase: "poll", body: `Unknown generation ${generationId}` });
+    }
+
+    const polls = (generations.get(generationId) ?? 0) + 1;
+    generations.set(generationId, polls);
+
+    let state = MOCK_STEPS[Math.min(polls, MOCK_STEPS.length) - 1];
+    if (state === "succeeded" && fail) state = "failed";
+
+    const raw = { generation_id: generationId, status: state };
+    if (state === "succeeded") raw.video = { url: videoUrl };
+    if (state === "succeeded" || state === "failed") generations.delete(generationId);
+
+    return { state, videoUrl: extractResult(raw), raw };
+  }
+
+  return {
+    name: "mock",
+    label,
+    model: "mock",
+    pollIntervalMs,
+    maxWaitMs: 60 * 1000,
+    create,
+    poll,
+    extractResult,
+    mapError
+  };
+}
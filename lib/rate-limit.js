@@ -0,0 +1,77 @@
+// ==============================================================================
+// RATE LIMITS — request counters per IP and per customer, in fixed windows
+// ==============================================================================
+//
+//   const limiter = createRateLimiter(parseLimits("ip=20/1h,session=10/1h"));
+//   limiter.hit({ ip: req.ip, session: customerId })
+//     -> { allowed: true }
+//     -> { allowed: false, scope: "session", limit: 10, windowMs, retryAfterSec }
+//
+// A window starts at a key's first request and lasts windowMs; a request is
+// counted in every scope only when all of them allow it, so turned-away
+// requests don't push anyone further out. A scope without a key (no customer
+// cookie yet) isn't checked, the IP limit still is.
+//
+// Counters are lib/cache.js entries, per process: with several server
+// instances each one enforces the limits on its own.
+
+import { createCache } from "./cache.js";
+
+export const SCOPES = ["ip", "session"];
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "ip=20/1h,session=10/15m" -> [{ scope: "ip", max: 20, windowMs: 3600000 }, ...]
+// Throws on anything else, so a typo in the environment stops startup.
+export function parseLimits(text) {
+  const limits = [];
+  for (const part of String(text || "").split(",")) {
+    if (!part.trim()) continue;
+    const match = part.trim().match(/^(\w+)=(\d+)\/(\d*)([smhd])$/);
+    if (!match || !SCOPES.includes(match[1])) {
+      throw new Error(`Bad rate limit "${part.trim()}" (expected e.g. "ip=20/1h" with scope ${SCOPES.join(" or ")})`);
+    }
+    const [, scope, max, count, unit] = match;
+    limits.push({ scope, max: Number(max), windowMs: Number(count || 1) * UNIT_MS[unit] });
+  }
+  return limits;
+}
+
+export function createRateLimiter(limits, { maxKeys = 100_000, now = Date.now } = {}) {
+  const windows = limits.map((limit) => ({
+    ...limit,
+    // key -> { count, resetAt }; the cache drops it when the window is over
+    counters: createCache({ maxEntries: maxKeys, ttlMs: limit.windowMs, now })
+  }));
+
+  function hit(keys) {
+    const time = now();
+    const counted = [];
+
+    for (const limit of windows) {
+      const key = keys[limit.scope];
+      if (!key) continue;
+
+      let counter = limit.counters.get(key);
+      if (!counter) {
+        counter = { count: 0, resetAt: time + limit.windowMs };
+        limit.counters.set(key, counter);
+      }
+      if (counter.count >= limit.max) {
+        return {
+          allowed: false,
+          scope: limit.scope,
+          limit: limit.max,
+          windowMs: limit.windowMs,
+          retryAfterSec: Math.max(1, Math.ceil((counter.resetAt - time) / 1000))
+        };
+      }
+      counted.push(counter);
+    }
+
+    for (const counter of counted) counter.count++;
+    return { allowed: true };
+  }
+
+  return { limits, hit };
+}
@@ -0,0 +1,104 @@
+// ==============================================================================
+// SIGNED REQUESTS — HMAC-SHA256 auth for external callers (render pipelines)
+// ==============================================================================
+//
+// Each caller gets its own key id + shared secret. A signed request carries:
+//   X-SeeAgain-Key-Id    : which secret was used
+//   X-SeeAgain-Timestamp : unix seconds when the request was signed
+//   X-SeeAgain-Nonce     : random value, never reused
+//   X-SeeAgain-Signature : v1=<hex HMAC-SHA256 of the payload below>
+//
+// Signed payload: `${timestamp}.${nonce}.${METHOD}.${path}.${rawBody}`
+//
+// verifySignedRequest checks key, freshness and signature. Replay protection
+// is finished by the caller of this module: it must refuse a (keyId, nonce)
+// pair it has already seen inside the tolerance window.
+
+import crypto from "crypto";
+
+export const SIGNATURE_TOLERANCE_SEC = 5 * 60; // 5 minutes
+
+const HEADER_KEY_ID = "x-seeagain-key-id";
+const HEADER_TIMESTAMP = "x-seeagain-timestamp";
+const HEADER_NONCE = "x-seeagain-nonce";
+const HEADER_SIGNATURE = "x-seeagain-signature";
+
+// "pipeline-a:secret1,pipeline-b:secret2" -> Map { keyId => secret }
+export function parseSigningKeys(value) {
+  const keys = new Map();
+  for (const entry of String(value || "").split(",")) {
+    const sep = entry.indexOf(":");
+    if (sep <= 0) continue;
+    const keyId = entry.slice(0, sep).trim();
+    const secret = entry.slice(sep + 1).trim();
+    if (keyId && secret) keys.set(keyId, secret);
+  }
+  return keys;
+}
+
+function computeSignature(secret, { timestamp, nonce, method, path, body }) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body}`)
+    .digest("hex");
+}
+
+// Headers for a signed request (see scripts/complete-job.js)
+export function signRequest({
+  keyId,
+  secret,
+  method,
+  path,
+  body = "",
+  timestamp = Math.floor(Date.now() / 1000),
+  nonce = crypto.randomBytes(16).toString("hex")
+}) {
+  const signature = computeSignature(secret, { timestamp, nonce, method, path, body });
+  return {
+    "X-SeeAgain-Key-Id": keyId,
+    "X-SeeAgain-Timestamp": String(timestamp),
+    "X-SeeAgain-Nonce": nonce,
+    "X-SeeAgain-Signature": `v1=${signature}`
+  };
+}
+
+// Returns { ok: true, keyId, nonce, timestamp } or { ok: false, keyId, reason }
+export function verifySignedRequest({ headers, method, path, rawBody, keys, now = Date.now() }) {
+  const keyId = headers[HEADER_KEY_ID] || null;
+  const timestampHeader = headers[HEADER_TIMESTAMP];
+  const nonce = headers[HEADER_NONCE];
+  const signatureHeader = headers[HEADER_SIGNATURE];
+
+  if (!keyId || !timestampHeader || !nonce || !signatureHeader) {
+    return { ok: false, keyId, reason: "missing_headers" };
+  }
+
+  const secret = keys.get(keyId);
+  if (!secret) {
+    return { ok: false, keyId, reason: "unknown_key" };
+  }
+
+  const timestamp = Number(timestampHeader);
+  if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SEC) {
+    return { ok: false, keyId, reason: "stale_timestamp" };
+  }
+
+  const match = /^v1=([a-f0-9]{64})$/.exec(signatureHeader);
+  if (!match) {
+    return { ok: false, keyId, reason: "bad_signature" };
+  }
+
+  const expected = computeSignature(secret, {
+    timestamp,
+    nonce,
+    method,
+    path,
+    body: rawBody ? rawBody.toString("utf-8") : ""
+  });
+
+  if (!crypto.timingSafeEqual(Buffer.from(expected, "hex"), Buffer.from(match[1], "hex"))) {
+    return { ok: false, keyId, reason: "bad_signature" };
+  }
+
+  return { ok: true, keyId, nonce, timestamp };
+}
@@ -0,0 +1,49 @@
+/*
+================================================================================
+  STORAGE — where rendered files (and uploads) are kept
+================================================================================
+
+Every driver implements the same interface, keyed by "folder/filename"
+(e.g. "outputs/anim-1712345678901-wm.mp4"):
+
+  storage.name                          : "local" | "s3"
+  storage.put(key, filePath, { contentType }) : store a local file under key
+  storage.download(key, filePath)       : copy an object to a local file
+  storage.localPath(key)                : path on this machine if the driver
+                                          has one (local), otherwise null
+  storage.stat(key)                     : { size, lastModified, etag } | null
+  storage.read(key, { start, end })     : Readable stream (end inclusive)
+  storage.delete(key)
+  storage.list(prefix)                  : [{ key, size, lastModified }]
+
+ffmpeg always works on local files: callers download what they need into a
+temp dir and put the results back, so the same code runs on either driver.
+
+Pick the driver with STORAGE_DRIVER (defaults to "local").
+
+================================================================================
+*/
+
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+const factories = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+export function createStorage(name, options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${name}" (expected one of: ${Object.keys(factories).join(", ")})`);
+  }
+  return factory(options);
+}
+
+// Keys are "folder/filename"; nothing that could climb out of a folder
+export function storageKey(folder, filename) {
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(filename)) {
+    throw new Error(`Invalid storage filename "${filename}"`);
+  }
+  return `${folder}/${filename}`;
+}
@@ -0,0 +1,90 @@
+// ==============================================================================
+// LOCAL STORAGE - files under one directory on this machine
+// ==============================================================================
+//
+// Fine for a single server with a persistent disk. Writes go to a temp name
+// first and are renamed into place, so readers never see half a file.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export function createLocalStorage({ root }) {
+  const rootDir = path.resolve(root);
+
+  function pathFor(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return filePath;
+  }
+
+  async function put(key, filePath) {
+    const dest = pathFor(key);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+
+    const tmp = `${dest}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.copyFile(filePath, tmp);
+    await fs.promises.rename(tmp, dest);
+  }
+
+  async function download(key, filePath) {
+    await fs.promises.copyFile(pathFor(key), filePath);
+  }
+
+  async function stat(key) {
+    try {
+      const stats = await fs.promises.stat(pathFor(key));
+      if (!stats.isFile()) return null;
+      return {
+        size: stats.size,
+        lastModified: stats.mtimeMs,
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+      };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function read(key, { start, end } = {}) {
+    return fs.createReadStream(pathFor(key), { start, end });
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(pathFor(key), { force: true });
+  }
+
+  async function list(prefix) {
+    const folder = prefix.replace(/\/$/, "");
+    let names;
+    try {
+      names = await fs.promises.readdir(pathFor(folder));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const entries = [];
+    for (const name of names) {
+      if (name.endsWith(".tmp")) continue;
+      const key = `${folder}/${name}`;
+      const info = await stat(key);
+      if (info) entries.push({ key, size: info.size, lastModified: info.lastModified });
+    }
+    return entries;
+  }
+
+  return {
+    name: "local",
+    root: rootDir,
+    put,
+    download,
+    localPath: pathFor,
+    stat,
+    read,
+    delete: remove,
+    list
+  };
+}
@@ -0,0 +1,128 @@
+// ==============================================================================
+// S3 STORAGE - any S3-compatible bucket (AWS S3, MinIO, R2, Spaces, ...)
+// ==============================================================================
+//
+// Lets several server instances share outputs and keeps them across deploys.
+// For a local MinIO:
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_BUCKET=seeagain
+//   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin
+// A custom endpoint switches to path-style URLs (bucket in the path), which
+// MinIO needs.
+
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from "@aws-sdk/client-s3";
+
+export function createS3Storage({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = !!endpoint,
+  prefix = ""
+}) {
+  if (!bucket) {
+    throw new Error("S3 storage needs a bucket (S3_BUCKET)");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Streaming uploads with trailing checksums (aws-chunked) aren't
+    // understood by every S3-compatible server; only send them when required
+    ...(endpoint ? { requestChecksumCalculation: "WHEN_REQUIRED", responseChecksumValidation: "WHEN_REQUIRED" } : {}),
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const keyPrefix = prefix ? `${prefix.replace(/\/$/, "")}/` : "";
+  const objectKey = (key) => `${keyPrefix}${key}`;
+
+  function isNotFound(err) {
+    return err?.name === "NotFound" || err?.name === "NoSuchKey" || err?.$metadata?.httpStatusCode === 404;
+  }
+
+  async function put(key, filePath, { contentType } = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+  }
+
+  async function download(key, filePath) {
+    const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    await pipeline(Body, fs.createWriteStream(filePath));
+  }
+
+  async function stat(key) {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return {
+        size: head.ContentLength,
+        lastModified: head.LastModified?.getTime() ?? null,
+        etag: head.ETag || null
+      };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async function read(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined;
+    const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key), Range: range }));
+    return Body;
+  }
+
+  async function remove(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+  }
+
+  async function list(folder) {
+    const entries = [];
+    let ContinuationToken;
+
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: objectKey(`${folder.replace(/\/$/, "")}/`),
+        ContinuationToken
+      }));
+
+      for (const obj of page.Contents || []) {
+        entries.push({
+          key: obj.Key.slice(keyPrefix.length),
+          size: obj.Size,
+          lastModified: obj.LastModified?.getTime() ?? 0
+        });
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return entries;
+  }
+
+  return {
+    name: "s3",
+    bucket,
+    put,
+    download,
+    localPath: () => null,
+    stat,
+    read,
+    delete: remove,
+    list
+  };
+}
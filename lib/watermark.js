@@ -0,0 +1,198 @@
+// ==============================================================================
+// WATERMARK PROFILES — how the SeeAgain mark is baked into free renders
+// ==============================================================================
+//
+// Profiles live in watermarks/profiles.json (WATERMARK_PROFILES_FILE):
+//
+//   {
+//     "default": "seeagain",
+//     "profiles": {
+//       "seeagain": { "type": "logo", "logo": "../public/watermark.png",
+//                     "anchor": "bottom-right", "size": 0.09, "opacity": 0.95, "margin": 0.022 },
+//       "partner":  { "type": "text", "text": "Made with SeeAgain", "color": "white",
+//                     "anchor": "bottom", "size": 0.045, "opacity": 0.85, "margin": 0.04 }
+//     }
+//   }
+//
+//   type    : "logo" (PNG overlay) | "text" (ffmpeg drawtext)
+//   logo    : image path, relative to the profiles file
+//   text    : text to draw; font (optional) is a font file relative to the file
+//   anchor  : top-left | top | top-right | left | center | right
+//             | bottom-left | bottom | bottom-right
+//   size    : logo height / font size as a fraction of the video height
+//   opacity : 0..1
+//   margin  : distance from the anchored edges, fraction of the video height
+//
+// Sizes are relative so the mark looks the same on 720p and 1080p renders.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+export const WATERMARK_ANCHORS = [
+  "top-left", "top", "top-right",
+  "left", "center", "right",
+  "bottom-left", "bottom", "bottom-right"
+];
+
+const PROFILE_DEFAULTS = {
+  anchor: "bottom-right",
+  size: 0.09,
+  opacity: 0.95,
+  margin: 0.022,
+  color: "white",
+  shadow: true
+};
+
+// Same H.264 settings the watermark has always used (iPhone friendly)
+export const MP4_ENCODE_ARGS = [
+  "-c:v", "libx264",
+  "-profile:v", "baseline",   // iPhone compatibility + fast decode
+  "-level", "3.0",
+  "-pix_fmt", "yuv420p",
+  "-movflags", "+faststart",  // Fast start for streaming
+  "-preset", "fast",          // Faster encode, still good quality
+  "-crf", "23"                // Good quality
+];
+
+function checkFraction(name, key, value, max) {
+  if (typeof value !== "number" || !(value >= 0) || value > max) {
+    throw new Error(`Watermark profile "${name}": ${key} must be a number between 0 and ${max}`);
+  }
+}
+
+function normalizeProfile(name, raw, baseDir) {
+  const profile = { ...PROFILE_DEFAULTS, ...raw, name };
+
+  if (profile.type !== "logo" && profile.type !== "text") {
+    throw new Error(`Watermark profile "${name}": type must be "logo" or "text"`);
+  }
+  if (!WATERMARK_ANCHORS.includes(profile.anchor)) {
+    throw new Error(`Watermark profile "${name}": anchor must be one of ${WATERMARK_ANCHORS.join(", ")}`);
+  }
+  checkFraction(name, "size", profile.size, 1);
+  checkFraction(name, "opacity", profile.opacity, 1);
+  checkFraction(name, "margin", profile.margin, 0.5);
+
+  if (profile.type === "logo") {
+    if (!profile.logo) throw new Error(`Watermark profile "${name}": logo is required`);
+    profile.logo = path.resolve(baseDir, profile.logo);
+  } else {
+    if (!profile.text) throw new Error(`Watermark profile "${name}": text is required`);
+    if (profile.font) profile.font = path.resolve(baseDir, profile.font);
+  }
+
+  return profile;
+}
+
+// Read and validate a profiles file. Throws with the offending profile name.
+export function loadWatermarkProfiles(filePath) {
+  const absPath = path.resolve(filePath);
+  const config = JSON.parse(fs.readFileSync(absPath, "utf-8"));
+  const baseDir = path.dirname(absPath);
+
+  const profiles = {};
+  for (const [name, raw] of Object.entries(config.profiles || {})) {
+    profiles[name] = normalizeProfile(name, raw, baseDir);
+  }
+
+  if (!profiles[config.default]) {
+    throw new Error(`Watermark default profile "${config.default}" is not defined in ${absPath}`);
+  }
+
+  return { defaultProfile: config.default, profiles };
+}
+
+// x/y expressions for an anchor. `outer` / `inner` are the names the filter
+// uses for the video and mark sizes (overlay: W,H / w,h; drawtext: w,h / tw,th).
+function anchorPosition(anchor, margin, outer, inner) {
+  const m = `${outer.h}*${margin}`;
+  const [vertical, horizontal] = anchor.includes("-")
+    ? anchor.split("-")
+    : ["top", "bottom"].includes(anchor)
+      ? [anchor, "center"]
+      : ["center", anchor];
+
+  const x = {
+    left: m,
+    center: `(${outer.w}-${inner.w})/2`,
+    right: `${outer.w}-${inner.w}-${m}`
+  }[horizontal];
+  const y = {
+    top: m,
+    center: `(${outer.h}-${inner.h})/2`,
+    bottom: `${outer.h}-${inner.h}-${m}`
+  }[vertical];
+
+  return { x, y };
+}
+
+// Filter paths can't contain unescaped ':' or quotes
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, "/").replace(/:/g, "\\:").replace(/'/g, "\\'");
+}
+
+function logoFilter(profile) {
+  const { x, y } = anchorPosition(profile.anchor, profile.margin, { w: "W", h: "H" }, { w: "w", h: "h" });
+  return (
+    "[0:v]format=rgba,setsar=1[base];" +
+    `[1:v][base]scale2ref=w=oh*mdar:h=ih*${profile.size}[wm0][base2];` +
+    `[wm0]format=rgba,setsar=1,colorchannelmixer=aa=${profile.opacity}[wm];` +
+    `[base2][wm]overlay=x=${x}:y=${y}:format=auto,setsar=1[outv]`
+  );
+}
+
+function textFilter(profile, textFile) {
+  const { x, y } = anchorPosition(profile.anchor, profile.margin, { w: "w", h: "h" }, { w: "tw", h: "th" });
+  const font = profile.font ? `fontfile='${escapeFilterPath(profile.font)}'` : "font=Sans";
+  const shadow = profile.shadow
+    ? `:shadowcolor=black@${(profile.opacity * 0.5).toFixed(2)}:shadowx=2:shadowy=2`
+    : "";
+
+  return (
+    "[0:v]setsar=1," +
+    `drawtext=${font}:textfile='${escapeFilterPath(textFile)}':expansion=none` +
+    `:fontsize=h*${profile.size}:fontcolor=${profile.color}@${profile.opacity}` +
+    `:x=${x}:y=${y}${shadow}[outv]`
+  );
+}
+
+// Bake `profile` into inputPath. With `still`, writes a single frame
+// (JPEG/PNG, from 1s in) instead of a video, for previews.
+// runFfmpeg(args) -> Promise is the caller's ffmpeg runner.
+export async function bakeWatermark({ profile, inputPath, outputPath, runFfmpeg, still = false }) {
+  const inputArgs = still ? ["-ss", "1", "-i", inputPath] : ["-i", inputPath];
+  const outputArgs = still
+    ? ["-frames:v", "1", "-q:v", "3", outputPath]
+    : ["-map", "0:a?", ...MP4_ENCODE_ARGS, outputPath];
+
+  if (profile.type === "logo") {
+    if (!fs.existsSync(profile.logo)) {
+      throw new Error(`Watermark logo not found at ${profile.logo} (profile "${profile.name}")`);
+    }
+    return runFfmpeg([
+      "-y",
+      ...inputArgs,
+      "-i", profile.logo,
+      "-filter_complex", logoFilter(profile),
+      "-map", "[outv]",
+      ...outputArgs
+    ]);
+  }
+
+  // drawtext reads the text from a file so it needs no filter escaping
+  const textFile = path.join(os.tmpdir(), `seeagain-wm-${crypto.randomBytes(6).toString("hex")}.txt`);
+  await fs.promises.writeFile(textFile, profile.text, "utf-8");
+  try {
+    return await runFfmpeg([
+      "-y",
+      ...inputArgs,
+      "-filter_complex", textFilter(profile, textFile),
+      "-map", "[outv]",
+      ...outputArgs
+    ]);
+  } finally {
+    fs.promises.unlink(textFile).catch(() => {});
+  }
+}
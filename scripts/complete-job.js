@@ -0,0 +1,47 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { parseSigningKeys, signRequest } from "../lib/request-signing.js";
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, "..", ".env") });
+
+// 📨 Send a signed job completion (captures or releases the card hold).
+// Usage: node scripts/complete-job.js <jobId> <success|failed> [keyId]
+//   SEEAGAIN_URL          : server to call, defaults to http://localhost:3000
+//   JOB_COMPLETION_KEYS   : same "keyId:secret,..." list the server uses;
+//                           the first key is used unless keyId is given
+const [jobId, status, keyIdArg] = process.argv.slice(2);
+
+if (!jobId || (status !== "success" && status !== "failed")) {
+  console.error("Usage: node scripts/complete-job.js <jobId> <success|failed> [keyId]");
+  process.exit(1);
+}
+
+const keys = parseSigningKeys(process.env.JOB_COMPLETION_KEYS);
+const keyId = keyIdArg || keys.keys().next().value;
+const secret = keys.get(keyId);
+
+if (!secret) {
+  console.error(`No secret for key "${keyId}" in JOB_COMPLETION_KEYS`);
+  process.exit(1);
+}
+
+const baseUrl = process.env.SEEAGAIN_URL || "http://localhost:3000";
+const requestPath = `/jobs/${encodeURIComponent(jobId)}/complete`;
+const body = JSON.stringify({ status });
+
+const res = await fetch(`${baseUrl}${requestPath}`, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    ...signRequest({ keyId, secret, method: "POST", path: requestPath, body })
+  },
+  body
+});
+
+console.log(res.status, await res.text());
+process.exit(res.ok ? 0 : 1);
@@ -0,0 +1,44 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { openDatabase } from "../lib/db.js";
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, "..", ".env") });
+
+// 📁 One-time import of legacy payments.json files into the SQLite database.
+// Usage: node scripts/import-payments-json.js <payments.json> [more files...]
+// Records already in the database are left alone, so re-running is safe.
+const files = process.argv.slice(2);
+
+if (!files.length) {
+  console.error("Usage: node scripts/import-payments-json.js <payments.json> [more files...]");
+  process.exit(1);
+}
+
+// 🗄️ Same database the server uses
+const databasePath =
+  process.env.DATABASE_PATH || path.resolve(__dirname, "..", "seeagain.db");
+const db = openDatabase(databasePath);
+
+let failed = false;
+
+for (const file of files) {
+  try {
+    const result = db.importLegacyPayments(file);
+    if (result.skipped) {
+      console.log(`⏭️  ${file}: skipped (${result.reason})`);
+    } else {
+      console.log(`✅ ${file}: imported ${result.imported} payment records`);
+    }
+  } catch (err) {
+    failed = true;
+    console.error(`❌ ${file}: ${err.message}`);
+  }
+}
+
+db.close();
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,76 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { parseSigningKeys, signRequest } from "../lib/request-signing.js";
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, "..", ".env") });
+
+// 🔄 Compare local payment records with Stripe PaymentIntents.
+// Usage:
+//   node scripts/reconcile-payments.js             run a reconciliation now
+//   node scripts/reconcile-payments.js --history   show recent runs
+//   SEEAGAIN_URL      : server to call, defaults to http://localhost:3000
+//   OPS_SIGNING_KEYS  : same "keyId:secret,..." list the server uses
+const [arg] = process.argv.slice(2);
+
+if (arg && arg !== "--history") {
+  console.error("Usage: node scripts/reconcile-payments.js [--history]");
+  process.exit(1);
+}
+
+const keys = parseSigningKeys(process.env.OPS_SIGNING_KEYS);
+const [keyId, secret] = keys.entries().next().value || [];
+
+if (!secret) {
+  console.error("OPS_SIGNING_KEYS is not set");
+  process.exit(1);
+}
+
+const baseUrl = process.env.SEEAGAIN_URL || "http://localhost:3000";
+
+async function signedFetch(method, requestPath) {
+  const res = await fetch(`${baseUrl}${requestPath}`, {
+    method,
+    headers: signRequest({ keyId, secret, method, path: requestPath })
+  });
+  const body = await res.json().catch(() => ({}));
+  return { res, body };
+}
+
+function printRun(run) {
+  console.log(
+    `${new Date(run.startedAt).toISOString()}  checked=${run.checked}  ` +
+    `corrected=${run.corrected}  mismatches=${run.mismatches.length}`
+  );
+  for (const m of run.mismatches) {
+    const local = m.correctedFrom ? `${m.correctedFrom} -> ${m.localStatus}` : m.localStatus;
+    console.log(`  ${m.jobId}  local=${local}  stripe=${m.stripeStatus || "?"}${m.problem ? `  ${m.problem}` : ""}`);
+  }
+}
+
+if (arg === "--history") {
+  const { res, body } = await signedFetch("GET", "/ops/reconciliation-runs");
+  if (!res.ok) {
+    console.error(res.status, body);
+    process.exit(1);
+  }
+
+  if (!body.runs.length) {
+    console.log("No reconciliation runs yet");
+  }
+  body.runs.forEach(printRun);
+  process.exit(0);
+}
+
+const { res, body } = await signedFetch("POST", "/ops/reconcile");
+if (!res.ok) {
+  console.error(res.status, body);
+  process.exit(1);
+}
+
+printRun(body);
+process.exit(body.mismatches.some((m) => m.problem) ? 2 : 0);
@@ -0,0 +1,65 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { parseSigningKeys, signRequest } from "../lib/request-signing.js";
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, "..", ".env") });
+
+// 🔁 Replay stored Stripe webhook events through the server's handler.
+// Usage:
+//   node scripts/replay-webhook-event.js --failed     list events that failed
+//   node scripts/replay-webhook-event.js <eventId>    replay one event
+//   SEEAGAIN_URL      : server to call, defaults to http://localhost:3000
+//   OPS_SIGNING_KEYS  : same "keyId:secret,..." list the server uses
+const [arg] = process.argv.slice(2);
+
+if (!arg) {
+  console.error("Usage: node scripts/replay-webhook-event.js <eventId> | --failed");
+  process.exit(1);
+}
+
+const keys = parseSigningKeys(process.env.OPS_SIGNING_KEYS);
+const [keyId, secret] = keys.entries().next().value || [];
+
+if (!secret) {
+  console.error("OPS_SIGNING_KEYS is not set");
+  process.exit(1);
+}
+
+const baseUrl = process.env.SEEAGAIN_URL || "http://localhost:3000";
+
+async function signedFetch(method, requestPath) {
+  const res = await fetch(`${baseUrl}${requestPath}`, {
+    method,
+    headers: signRequest({ keyId, secret, method, path: requestPath })
+  });
+  const body = await res.json().catch(() => ({}));
+  return { res, body };
+}
+
+if (arg === "--failed") {
+  const { res, body } = await signedFetch("GET", "/ops/webhook-events?status=failed");
+  if (!res.ok) {
+    console.error(res.status, body);
+    process.exit(1);
+  }
+
+  if (!body.events.length) {
+    console.log("✅ No failed webhook events");
+  }
+  for (const event of body.events) {
+    console.log(
+      `${event.eventId}  ${event.type}  attempts=${event.attempts}  ` +
+      `received=${new Date(event.receivedAt).toISOString()}  error=${event.error}`
+    );
+  }
+  process.exit(0);
+}
+
+const { res, body } = await signedFetch("POST", `/ops/webhook-events/${encodeURIComponent(arg)}/replay`);
+console.log(res.status, JSON.stringify(body, null, 2));
+process.exit(res.ok ? 0 : 1);
@@ -8,7 +8,52 @@ REQUIRED ENV VARS:
   - STRIPE_WEBHOOK_SECRET    : Webhook signing secret from Stripe dashboard (whsec_...)
   - GEMINI_API_KEY           : Google Gemini API key for prompt suggestions
   - AIML_API_KEY             : AI/ML API key for Kling video generation
+  - VIDEO_PROVIDER           : (optional) "kling" (default) or "mock" for offline runs
+  - KLING_MODEL              : (optional) Kling model id, defaults to v2.1 standard image-to-video
   - PORT                     : (optional) Server port, defaults to 3000
+  - DATABASE_PATH            : (optional) SQLite file, defaults to ./seeagain.db
+  - FREE_GENERATIONS         : (optional) free watermarked renders per customer, defaults to 1
+  - JOB_COMPLETION_KEYS      : (optional) "keyId:secret,keyId2:secret2" for external render
+                               pipelines calling POST /jobs/:jobId/complete (disabled if unset)
+  - OPS_SIGNING_KEYS         : (optional) same format, for the /ops API (webhook replay)
+  - ADMIN_PASSWORD           : (optional) HTTP Basic password for /admin (disabled if unset)
+  - STRIPE_API_BASE          : (optional) other Stripe API host, e.g. http://localhost:12111
+                               for stripe-mock
+  - OUTPUT_URL_SECRET        : secret for signed download links (random per process if unset,
+                               so links break on restart)
+  - OUTPUT_URL_TTL_SEC       : (optional) how long a download link works, defaults to 24 hours
+  - STORAGE_DRIVER           : (optional) "local" (default) or "s3", where rendered files are kept
+  - STORAGE_DIR              : (optional) folder for the local driver, defaults to ./storage
+  - S3_BUCKET                : bucket for the s3 driver (required with STORAGE_DRIVER=s3)
+  - S3_ENDPOINT              : (optional) S3-compatible endpoint, e.g. http://localhost:9000 for MinIO
+  - S3_REGION                : (optional) defaults to us-east-1
+  - S3_ACCESS_KEY_ID         : (optional) credentials; the AWS default chain is used if unset
+  - S3_SECRET_ACCESS_KEY
+  - S3_PREFIX                : (optional) key prefix when the bucket is shared
+  - UPLOAD_MAX_MB            : (optional) largest photo POST /uploads accepts, defaults to 15
+  - WATERMARK_PROFILES_FILE  : (optional) watermark profiles, defaults to watermarks/profiles.json
+  - WATERMARK_PROFILE        : (optional) profile used for free renders that don't name one,
+                               defaults to the file's "default" (see lib/watermark.js)
+  - SUGGESTION_CACHE_TTL_SEC : (optional) how long Gemini's suggestions for a photo are reused,
+                               defaults to 24 hours
+  - SUGGESTION_CACHE_MAX     : (optional) photos kept in the suggestion cache, defaults to 500
+  - ALLOWED_ORIGINS          : (optional) other sites allowed to call the API from a browser,
+                               e.g. "https://www.seeagain.com" (the server's own host always is)
+  - TRUST_PROXY              : (optional) Express "trust proxy" setting, e.g. 1 behind one load
+                               balancer, so rate limits see the client's IP and not the proxy's
+  - RATE_LIMIT_ANIMATE       : (optional) limits for /animate_photo, defaults to "ip=20/1h,session=10/1h"
+  - RATE_LIMIT_SUGGEST       : (optional) limits for /suggest-prompts, defaults to "ip=60/1h,session=30/1h"
+  - RATE_LIMIT_CHECKOUT      : (optional) limits for /create-checkout-session,
+                               defaults to "ip=20/1h,session=10/1h"
+  - RATE_LIMIT_NEW_CUSTOMER  : (optional) customers getting welcome credits per IP,
+                               defaults to "ip=10/1h"
+  - MAX_ACTIVE_RENDERS       : (optional) free renders started while this many are running
+                               get 429, defaults to 8
+  - MAX_RENDERS_PER_CUSTOMER : (optional) unfinished renders one customer may have, defaults to 1
+  - MOTION_MIN_CHANGED_PCT   : (optional) % of pixels that must change between frames for a
+                               video to count as moving, defaults to 0.1
+  - POLICY_CLASSIFIER        : (optional) content check for photos, "gemini" (default) or "stub"
+                               (the default with VIDEO_PROVIDER=mock), see lib/policy/index.js
 
 HOW TO TEST WITH STRIPE CLI:
   1. Install Stripe CLI: https://stripe.com/docs/stripe-cli
@@ -16,7 +61,15 @@ HOW TO TEST WITH STRIPE CLI:
   3. Forward webhooks locally:
        stripe listen --forward-to localhost:3000/stripe/webhook
   4. Copy the webhook signing secret shown and set it as STRIPE_WEBHOOK_SECRET
-  5. Test checkout flow:
+     Events handled: checkout.session.completed / expired / async_payment_*,
+     payment_intent.canceled / amount_capturable_updated, charge.refunded,
+     charge.dispute.created
+  5. Every verified event is stored by event.id (webhook_events table):
+     redeliveries of a processed event are skipped, failures are kept and can
+     be replayed after a fix:
+       node scripts/replay-webhook-event.js --failed
+       node scripts/replay-webhook-event.js <eventId>
+  6. Test checkout flow:
        stripe trigger checkout.session.completed
 
 PAYMENT FLOW (Authorize-then-Capture):
@@ -24,19 +77,138 @@ PAYMENT FLOW (Authorize-then-Capture):
      with capture_method: "manual" and jobId in metadata
   2. Stripe checkout completes → webhook "checkout.session.completed" fires
      → server records paymentIntentId with jobId, status = "authorized"
-  3. Animation job runs (Kling API call in /animate_photo)
+  3. Animation job runs (Kling API call started by /animate_photo)
   4. On success: capture PaymentIntent → user is charged
   5. On failure: cancel PaymentIntent → hold is released, no charge
 
+PHOTO UPLOADS:
+  - POST /uploads (multipart/form-data, file field "photo") -> 201 { uploadId,
+    width, height, aspectRatio, original }
+  - The real type (JPEG / PNG / WebP) and size are read from the file itself;
+    too small, too large or too elongated photos get 400 { error, code }
+  - The stored copy is upright (EXIF orientation applied), fit and padded to
+    Kling's 16:9, 9:16 or 1:1 frame, and has no metadata (no GPS location),
+    see lib/images.js
+  - /suggest-prompts and /animate_photo take { uploadId } (imageBase64 still
+    works for older pages); an upload only works for the customer who sent it
+    and is deleted after 7 days
+  - Old-photo prep: POST /uploads/:uploadId/prepare crops a scanner border,
+    straightens a slight tilt and optionally denoises / restores faded color;
+    the customer compares before / after and accepts or skips it (see
+    "PHOTO PREP" below and lib/photo-prep.js)
+
+LANGUAGES:
+  - The page sends the language picked in its menu as Accept-Language (JSON
+    requests may send { language }); customer-facing errors and the curated
+    suggestions come from locales/<lang>.json, English where a catalog has
+    no entry (see lib/i18n.js)
+  - Gemini writes suggestions in that language; a description in another
+    language is translated to English before the Kling prompt is composed
+    (the customer's text is kept as promptSpec.originalDescription)
+
+RENDER JOBS (async):
+  - POST /animate_photo validates the request, responds 202 with { jobId, statusUrl,
+    eventsUrl } and keeps rendering in the background
+  - A free render may send { watermarkProfile } to pick a profile from the
+    watermarks file (400 unknown_watermark_profile otherwise); it is kept
+    with the job so a resumed render bakes the same mark
+  - The Kling prompt is composed from { prompt, motions: [{ preset, intensity,
+    target }] } by lib/prompt-composer.js (also served to the page as
+    /prompt-composer.js); the presets and constraints version are kept with
+    the job
+  - POST /suggest-prompts -> { suggestions, scene: { type, peopleCount, detected },
+    page, cached }; Gemini answers in JSON, curated sets per scene fill in when
+    it can't. Answers are cached per photo (content hash) and language, so a
+    retry after checkout or { page: n } ("More suggestions") usually doesn't
+    ask Gemini again; hit counts at GET /admin/api/suggestion-cache
+  - GET /jobs/:jobId         : current stage, result or error (JSON)
+  - GET /jobs/:jobId/events  : Server-Sent Events stream of every stage change
+  - Job routes only answer the customer (sa_customer cookie) the job was
+    rendered for; anyone else gets 404. Checkout jobIds are always made by
+    the server (POST /create-checkout-session returns it)
+  - A finished result has videoUrl, downloadUrl, renditions (720p / 1080p / HEVC
+    download links), posterUrl and sprite (thumbnail strip); outputs older than
+    7 days are deleted with their images and exports
+  - Rendered files are private (kept in storage under outputs/, see
+    lib/storage/index.js): every link in a result is signed for its job and
+    expires after OUTPUT_URL_TTL_SEC
+  - /api/download supports Range requests (206), ?rendition= and
+    ?disposition=inline; files are named SeeAgain-<date>-<output>.<ext>
+  - POST /jobs/:jobId/exports { formats: ["gif", "webp", "boomerang"] } : extra
+    renditions of a finished video, listed in result.exports (see lib/exports.js)
+  - Stages: submitted -> provider_queued -> rendering -> downloading
+            -> checking -> watermarking -> done | failed
+  - "checking" measures frame-to-frame motion in the provider's video
+    (lib/motion-check.js): a near-static one is rendered once more with every
+    motion preset a step stronger; if that is still too, the job fails with
+    error.code "no_motion", so the hold is canceled (or the free credit given
+    back) instead of charging for a still image. result.motion has the stats
+  - Jobs are stored in the database so clients can reconnect at any time
+  - The provider generation id, prompt and watermark decision are stored before
+    polling starts; after a restart those renders are resumed and finished
+
 STORAGE:
-  - payments.json: Persists jobId -> { paymentIntentId, sessionId, status, createdAt }
-  - Survives server restarts
+  - SQLite database (DATABASE_PATH, defaults to ./seeagain.db), see lib/db.js
+  - payments: jobId -> { paymentIntentId, sessionId, status, createdAt }
+  - jobs: render job stage/result; state_transitions: every status change
+  - Every update is one transaction, so a crash can't corrupt earlier records
   - Status flow: authorized -> captured | canceled | capture_failed | cancel_failed
+                 captured -> refunded | partially_refunded | disputed
+                 expired  : checkout abandoned, nothing was authorized
+  - Refunds, disputes and holds canceled outside SeeAgain set needs_review
+  - /admin lists payments by status and age with their history, and can retry
+    a failed capture / cancel or clear a job's review flag
+  - A legacy payments.json next to server.js is imported once on startup;
+    other copies: node scripts/import-payments-json.js <file> [...]
+
+ENTITLEMENTS (server-side, see "CREDIT LEDGER" below):
+  - Customers are identified by an httpOnly cookie (sa_customer)
+  - Free credits: FREE_GENERATIONS per customer, watermarked, written when the
+    customer first asks for credits (entitlements or a free render); new
+    customers per IP are limited by RATE_LIMIT_NEW_CUSTOMER
+  - Paid credits: one per completed checkout, bound to its jobId, no watermark
+  - /animate_photo spends a credit atomically before rendering (402 if none)
+  - Failed free renders get their credit back; released holds revoke theirs
+  - GET /api/entitlements -> { free, paid } for the button label
+
+ABUSE PROTECTION (see "ABUSE PROTECTION" below):
+  - Browsers may only call the API from the server's own host or ALLOWED_ORIGINS;
+    a POST from any other site gets 403 (CORS headers are only sent to those)
+  - /animate_photo, /suggest-prompts and /create-checkout-session are limited
+    per IP and per customer cookie (RATE_LIMIT_*); over the limit -> 429
+    { error, code: "rate_limited", retryAfter } with a Retry-After header
+  - Free renders are limited to MAX_RENDERS_PER_CUSTOMER running per customer
+    and MAX_ACTIVE_RENDERS in total (429 "too_many_renders" / "renders_busy");
+    a render for a completed checkout is never turned away
+
+CONTENT POLICY (see "CONTENT POLICY" below and lib/policy/index.js):
+  - /animate_photo needs { consent: true }: the customer attests they have the
+    right to animate the people pictured (400 "consent_required" otherwise)
+  - Descriptions plainly asking for nudity, violence or an identity change get
+    422 "prompt_blocked"; the photo and prompt then go through POLICY_CLASSIFIER
+    (422 "content_blocked", 503 "policy_unavailable" when it can't decide),
+    which also judges words that only might ask for them ("knife", "blood")
+  - Every decision is recorded against the jobId (policy_decisions, shown in
+    /admin). The prompt and photo are only checked once a credit is spent: a
+    blocked render gets its free credit back or its hold released, a missing
+    attestation leaves both untouched
 
 SAFETY TIMEOUT:
   - Every 30 minutes, cancels any "authorized" payments older than 2 hours
   - Prevents stuck holds if animation never completes
 
+RECONCILIATION:
+  - Every hour, each non-terminal payment (authorized, render_*, capture_failed,
+    cancel_failed) is compared with its PaymentIntent in Stripe
+  - succeeded -> captured, canceled -> canceled; a hold still open after the
+    render ended is captured or released again. Anything Stripe can't back up
+    (missing intent, never authorized, charged for a failed render, a retry
+    that fails again) is flagged for review. Each run is stored in
+    reconciliation_runs
+  - Run it now / see past runs: node scripts/reconcile-payments.js [--history]
+  - Against stripe-mock: STRIPE_API_BASE=http://localhost:12111 STRIPE_SECRET_KEY=sk_test_123
+    (test/reconciliation.test.js runs it against a fake Stripe of its own)
+
 ================================================================================
 */
 
@@ -48,15 +220,71 @@ import dotenv from "dotenv";
 import formData from "express-form-data";
 import Stripe from "stripe";
 import fs from "fs";
+import os from "os";
+import crypto from "crypto";
 import ffmpegPath from "ffmpeg-static";
 import { spawn } from "child_process";
+import { EventEmitter } from "events";
+import { pipeline } from "stream/promises";
+import { ProviderError, createProvider, generateVideo, pollGeneration } from "./lib/providers/index.js";
+import { openDatabase } from "./lib/db.js";
+import { parseSigningKeys, verifySignedRequest, SIGNATURE_TOLERANCE_SEC } from "./lib/request-signing.js";
+import { loadWatermarkProfiles, bakeWatermark } from "./lib/watermark.js";
+import { createStorage, storageKey } from "./lib/storage/index.js";
+import {
+  ImageError,
+  KLING_FRAMES,
+  checkDimensions,
+  closestAspectRatio,
+  displaySize,
+  fitArgs,
+  inspectImage,
+  jpegBytesNeeded,
+  uprightArgs
+} from "./lib/images.js";
+import { PREP_DEFAULTS, planPrep, prepArgs, preparedSize } from "./lib/photo-prep.js";
+import { PromptError, SCENES, composePrompt, containsSpeech, promptSpec, strongerSpec } from "./lib/prompt-composer.js";
+import { DEFAULT_LANGUAGE, LANGUAGES, createTranslator, loadCatalogs, requestLanguage } from "./lib/i18n.js";
+import { createCache } from "./lib/cache.js";
+import { createRateLimiter, parseLimits } from "./lib/rate-limit.js";
+import { createClassifier, checkPrompt } from "./lib/policy/index.js";
+import { MOTION_DEFAULTS, isNearStatic, measureMotion } from "./lib/motion-check.js";
+import {
+  EXPORT_FORMATS,
+  SPRITE_LAYOUT,
+  RENDITIONS,
+  exportArgs,
+  exportFilename,
+  posterArgs,
+  previewFilenames,
+  renditionArgs,
+  renditionFilename,
+  spriteArgs
+} from "./lib/exports.js";
 
 dotenv.config();
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, stripeApiOptions(process.env.STRIPE_API_BASE));
+
+// "http://localhost:12111" -> { host, port, protocol } (stripe-mock, proxies)
+function stripeApiOptions(apiBase) {
+  if (!apiBase) return {};
+  const url = new URL(apiBase);
+  return {
+    host: url.hostname,
+    port: url.port || (url.protocol === "http:" ? 80 : 443),
+    protocol: url.protocol.replace(":", "")
+  };
+}
 
 const app = express();
 
+// Behind a proxy / load balancer req.ip is the proxy's unless it is trusted
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy);
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -74,33 +302,36 @@ if (!STRIPE_WEBHOOK_SECRET) {
   console.warn('⚠️ Missing STRIPE_WEBHOOK_SECRET - webhooks will not be verified');
 }
 
+// Image-to-video backend (see lib/providers/index.js)
+const VIDEO_PROVIDER = process.env.VIDEO_PROVIDER || "kling";
+const videoProvider = createProvider(VIDEO_PROVIDER, {
+  apiKey: AIML_API_KEY,
+  model: process.env.KLING_MODEL || undefined
+});
+console.log(`🎥 Video provider: ${videoProvider.label} (${videoProvider.model})`);
+
 // ==============================================================================
-// PERSISTENT PAYMENT STORAGE (survives restarts)
+// PERSISTENT PAYMENT STORAGE (SQLite, survives restarts and crashes)
 // ==============================================================================
 
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, "seeagain.db");
+
+// Legacy JSON store, imported once into the database on startup
 const PAYMENTS_FILE = path.join(__dirname, "payments.json");
 
-// In-memory cache, synced to disk
-let paymentsStore = {};
+const db = openDatabase(DATABASE_PATH);
+console.log(`🗄️ Database ready: ${DATABASE_PATH}`);
 
-function loadPayments() {
+function importLegacyPaymentsFile(filePath) {
   try {
-    if (fs.existsSync(PAYMENTS_FILE)) {
-      const data = fs.readFileSync(PAYMENTS_FILE, "utf-8");
-      paymentsStore = JSON.parse(data);
-      console.log(`📁 Loaded ${Object.keys(paymentsStore).length} payment records from payments.json`);
+    const result = db.importLegacyPayments(filePath);
+    if (!result.skipped) {
+      console.log(`📁 Imported ${result.imported} payment records from ${filePath}`);
     }
   } catch (err) {
-    console.error("⚠️ Failed to load payments.json:", err.message);
-    paymentsStore = {};
-  }
-}
-
-function savePayments() {
-  try {
-    fs.writeFileSync(PAYMENTS_FILE, JSON.stringify(paymentsStore, null, 2));
-  } catch (err) {
-    console.error("⚠️ Failed to save payments.json:", err.message);
+    // Leave the file untouched so nothing is lost; fix it and restart,
+    // or import it with scripts/import-payments-json.js
+    console.error(`⚠️ Failed to import ${filePath}:`, err.message);
   }
 }
 
@@ -108,21 +339,17 @@ function savePayments() {
 function recordPayment(jobId, paymentIntentId, sessionId) {
   if (!jobId) return;
   
-  // Check if already exists (idempotency for duplicate webhooks)
-  if (paymentsStore[jobId]) {
-    console.log(`📝 Payment already recorded for jobId: ${jobId}`);
-    return paymentsStore[jobId];
-  }
-  
-  const record = {
+  // Insert is a no-op if the jobId exists (idempotency for duplicate webhooks)
+  const { created, record } = db.insertPayment(jobId, {
     paymentIntentId,
     sessionId,
-    status: "authorized",
-    createdAt: Date.now()
-  };
-  
-  paymentsStore[jobId] = record;
-  savePayments();
+    status: "authorized"
+  });
+
+  if (!created) {
+    console.log(`📝 Payment already recorded for jobId: ${jobId}`);
+    return record;
+  }
   
   console.log(`📝 Recorded payment: jobId=${jobId}, piId=${paymentIntentId}, status=authorized`);
   return record;
@@ -130,26 +357,28 @@ function recordPayment(jobId, paymentIntentId, sessionId) {
 
 // Update job status
 function markJobStatus(jobId, status) {
-  if (!jobId || !paymentsStore[jobId]) return null;
-  
-  const record = paymentsStore[jobId];
-  const oldStatus = record.status;
-  record.status = status;
-  record.updatedAt = Date.now();
-  savePayments();
+  if (!jobId) return null;
+
+  const change = db.setPaymentStatus(jobId, status);
+  if (!change) return null;
   
-  console.log(`📝 Status update: jobId=${jobId}, ${oldStatus} -> ${status}`);
-  return record;
+  console.log(`📝 Status update: jobId=${jobId}, ${change.previousStatus} -> ${status}`);
+  return change.record;
 }
 
 // Get payment record
 function getPayment(jobId) {
-  return paymentsStore[jobId] || null;
+  return db.getPayment(jobId);
+}
+
+// Attach the PaymentIntent to a record created before the webhook arrived
+function attachPaymentIntent(jobId, paymentIntentId, sessionId) {
+  return db.setPaymentIntent(jobId, paymentIntentId, sessionId);
 }
 
 // Check if a job has pending render status stored (for race condition handling)
 function getPendingJobStatus(jobId) {
-  const record = paymentsStore[jobId];
+  const record = getPayment(jobId);
   if (!record) return null;
   
   // If job completed before webhook arrived
@@ -161,30 +390,138 @@ function getPendingJobStatus(jobId) {
 
 // Store job completion status (for race condition: job finishes before webhook)
 function recordJobCompletion(jobId, renderStatus) {
-  if (!paymentsStore[jobId]) {
-    // Job finished before webhook - create placeholder
-    paymentsStore[jobId] = {
-      paymentIntentId: null,
-      sessionId: null,
-      status: renderStatus,
-      createdAt: Date.now()
-    };
-    savePayments();
+  // Job finished before webhook - create placeholder
+  const { created, record } = db.insertPayment(jobId, { status: renderStatus });
+
+  if (created) {
     console.log(`📝 Job completion recorded (before webhook): jobId=${jobId}, status=${renderStatus}`);
-    return paymentsStore[jobId];
+    return record;
   }
   
   // Normal case: webhook already arrived
   return markJobStatus(jobId, renderStatus);
 }
 
-// Load payments on startup
-loadPayments();
+// Import payments.json on startup (no-op once imported)
+importLegacyPaymentsFile(PAYMENTS_FILE);
+
+// ==============================================================================
+// ENTITLEMENTS — SERVER-SIDE CREDIT LEDGER
+// ==============================================================================
+//
+// Customers are identified by an httpOnly cookie. Each one starts with
+// FREE_GENERATIONS free (watermarked) renders; each completed checkout grants
+// one paid (unwatermarked) render bound to that checkout's jobId. A credit is
+// spent when a render starts, and /animate_photo decides the watermark from
+// which kind was spent - nothing the browser sends can change it.
+
+const CUSTOMER_COOKIE = "sa_customer";
+const CUSTOMER_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+const FREE_GENERATIONS = Number(process.env.FREE_GENERATIONS ?? 1);
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq < 0) continue;
+    try {
+      cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      // Ignore malformed cookie values
+    }
+  }
+  return cookies;
+}
+
+// Customer id from the cookie, issuing a new one if missing. Nothing is
+// stored for it until the customer needs credits (grantWelcomeCredits).
+function getCustomerId(req, res) {
+  let customerId = parseCookies(req.headers.cookie)[CUSTOMER_COOKIE];
+
+  if (!customerId || !/^[a-f0-9]{32}$/.test(customerId)) {
+    customerId = crypto.randomBytes(16).toString("hex");
+  }
+
+  res.cookie(CUSTOMER_COOKIE, customerId, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    maxAge: CUSTOMER_COOKIE_MAX_AGE_MS,
+    path: "/"
+  });
+
+  return customerId;
+}
+
+// Welcome credits are a single ledger entry, written the first time a
+// customer asks for credits (GET /api/entitlements, a free render). New
+// customers count against RATE_LIMIT_NEW_CUSTOMER per IP, so a client that
+// drops its cookie doesn't get another free render every time.
+// Returns the limiter's verdict: { allowed: false, retryAfterSec, ... } when
+// the welcome credits were held back.
+function grantWelcomeCredits(req, customerId) {
+  const welcome = { customerId, kind: "free", reason: "welcome" };
+  if (FREE_GENERATIONS <= 0 || db.hasLedgerEntry(welcome)) return { allowed: true };
+
+  const verdict = rateLimiters.newCustomer.hit({ ip: req.ip });
+  if (!verdict.allowed) {
+    console.warn(`🚦 Welcome credits held back: ip=${req.ip} (${verdict.limit} new customers per ${verdict.windowMs / 1000}s)`);
+    return verdict;
+  }
+
+  db.addLedgerEntry({ ...welcome, delta: FREE_GENERATIONS });
+  console.log(`👤 New customer: ${customerId}`);
+  return verdict;
+}
+
+function getEntitlements(customerId) {
+  return {
+    free: Math.max(0, db.creditBalance(customerId, "free")),
+    paid: Math.max(0, db.creditBalance(customerId, "paid"))
+  };
+}
+
+function grantPaidCredit(jobId, customerId) {
+  const granted = db.grantJobCredit({
+    customerId: customerId || "unknown",
+    kind: "paid",
+    reason: "checkout",
+    jobId
+  });
+  if (granted) {
+    console.log(`🎟️ Paid credit granted: jobId=${jobId}, customer=${customerId || "unknown"}`);
+  }
+}
+
+// Give a free credit back when its render failed
+function refundFreeCredit(customerId, jobId) {
+  const refunded = db.addLedgerEntry({
+    customerId,
+    kind: "free",
+    delta: 1,
+    reason: "render_failed",
+    jobId
+  });
+  if (refunded) {
+    console.log(`🎟️ Free credit refunded: jobId=${jobId}, customer=${customerId}`);
+  }
+}
+
+// A released hold must not leave a usable paid credit behind
+function revokeUnspentPaidCredit(jobId, reason) {
+  const { ok } = db.consumeCredit({ kind: "paid", jobId, reason });
+  if (ok) {
+    console.log(`🎟️ Paid credit revoked: jobId=${jobId}, reason=${reason}`);
+  }
+}
 
 // ==============================================================================
 // STRIPE CAPTURE / CANCEL LOGIC
 // ==============================================================================
 
+// Statuses where the hold may still be captured or released
+const OPEN_PAYMENT_STATUSES = ["authorized", "render_succeeded", "render_failed", "capture_failed", "cancel_failed"];
+
 async function capturePayment(jobId) {
   const record = getPayment(jobId);
   if (!record || !record.paymentIntentId) {
@@ -198,7 +535,8 @@ async function capturePayment(jobId) {
     return true;
   }
   
-  if (record.status !== "authorized" && record.status !== "render_succeeded") {
+  // capture_failed is retried from the admin page and by reconciliation
+  if (!["authorized", "render_succeeded", "capture_failed"].includes(record.status)) {
     console.log(`⚠️ Cannot capture: invalid status=${record.status} for jobId=${jobId}`);
     return false;
   }
@@ -229,7 +567,8 @@ async function cancelPayment(jobId) {
     return true;
   }
   
-  if (record.status !== "authorized" && record.status !== "render_failed") {
+  // cancel_failed is retried from the admin page and by reconciliation
+  if (!["authorized", "render_failed", "cancel_failed"].includes(record.status)) {
     console.log(`⚠️ Cannot cancel: invalid status=${record.status} for jobId=${jobId}`);
     return false;
   }
@@ -238,6 +577,7 @@ async function cancelPayment(jobId) {
     console.log(`🚫 Canceling payment: jobId=${jobId}, piId=${record.paymentIntentId}`);
     await stripe.paymentIntents.cancel(record.paymentIntentId);
     markJobStatus(jobId, "canceled");
+    revokeUnspentPaidCredit(jobId, "hold_released");
     console.log(`✅ Payment canceled (hold released): jobId=${jobId}`);
     return true;
   } catch (err) {
@@ -261,6 +601,12 @@ async function handleJobCompletion(jobId, success) {
     return;
   }
   
+  // Already settled (e.g. a resumed render finishing twice) - nothing to do
+  if (!OPEN_PAYMENT_STATUSES.includes(record.status)) {
+    console.log(`✅ Payment already settled: jobId=${jobId}, status=${record.status}`);
+    return;
+  }
+
   // Update status and capture/cancel
   markJobStatus(jobId, renderStatus);
   
@@ -272,62 +618,239 @@ async function handleJobCompletion(jobId, success) {
 }
 
 // ==============================================================================
-// STRIPE WEBHOOK ENDPOINT - MUST BE BEFORE express.json() MIDDLEWARE
+// CHECKOUT COMPLETION (webhook + render-time check share this)
 // ==============================================================================
 
-app.post("/stripe/webhook", express.raw({ type: "application/json" }), async (req, res) => {
-  const sig = req.headers["stripe-signature"];
+// Record a completed checkout: payment authorization + one paid credit.
+// Safe to run more than once for the same session.
+async function handleCheckoutCompleted(session) {
+  const jobId = session.metadata?.jobId;
+  const paymentIntentId =
+    typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id;
   
-  let event;
+  console.log(`💰 Checkout completed: sessionId=${session.id}, jobId=${jobId}, piId=${paymentIntentId}`);
   
-  try {
-    if (STRIPE_WEBHOOK_SECRET) {
-      event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
-    } else {
-      // Fallback for development without webhook secret
-      event = JSON.parse(req.body.toString());
-      console.warn("⚠️ Webhook signature not verified (STRIPE_WEBHOOK_SECRET not set)");
+  if (!jobId || !paymentIntentId) {
+    console.warn("⚠️ Checkout completed but missing jobId or paymentIntentId");
+    return;
+  }
+
+  await recordAuthorizedPayment({
+    jobId,
+    paymentIntentId,
+    sessionId: session.id,
+    customerId: session.metadata?.customerId
+  });
+}
+
+// Funds are on hold for this job: store the PaymentIntent and grant the
+// paid credit. Reached from checkout.session.completed and, if that one is
+// late, from payment_intent.amount_capturable_updated.
+async function recordAuthorizedPayment({ jobId, paymentIntentId, sessionId = null, customerId = null }) {
+  // Check if job already completed before webhook arrived (race condition)
+  const pendingStatus = getPendingJobStatus(jobId);
+  
+  if (pendingStatus) {
+    // Job finished before webhook - update with payment info and process
+    attachPaymentIntent(jobId, paymentIntentId, sessionId);
+    
+    console.log(`🔄 Processing delayed job completion: jobId=${jobId}, status=${pendingStatus}`);
+    
+    if (pendingStatus === "render_succeeded") {
+      await capturePayment(jobId);
+    } else if (pendingStatus === "render_failed") {
+      await cancelPayment(jobId);
     }
+    return;
+  }
+
+  // Normal flow: record the payment authorization and its render credit
+  const record = recordPayment(jobId, paymentIntentId, sessionId);
+  if (record && sessionId && !record.sessionId) {
+    attachPaymentIntent(jobId, paymentIntentId, sessionId);
+  }
+
+  // Never hand out a credit for a hold that is already gone
+  if (record && !["authorized", "render_succeeded", "captured"].includes(record.status)) {
+    console.log(`⚠️ Not granting paid credit: jobId=${jobId}, status=${record.status}`);
+    return;
+  }
+  grantPaidCredit(jobId, customerId || db.getCheckout(jobId)?.customerId);
+}
+
+// The customer can land back on the site before Stripe's webhook does, so
+// ask Stripe directly about the checkout we created for this job.
+async function ensurePaidCredit(jobId) {
+  if (db.jobCreditBalance(jobId, "paid") > 0) return true;
+
+  const checkout = db.getCheckout(jobId);
+  if (!checkout) return false;
+
+  try {
+    const session = await stripe.checkout.sessions.retrieve(checkout.checkoutSessionId);
+    if (session.status !== "complete") return false;
+
+    console.log(`🔎 Checkout confirmed with Stripe before webhook: jobId=${jobId}`);
+    await handleCheckoutCompleted(session);
   } catch (err) {
-    console.error("❌ Webhook signature verification failed:", err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    console.error(`❌ Could not verify checkout for jobId=${jobId}:`, err.message);
+    return false;
   }
-  
-  console.log(`📨 Stripe webhook received: ${event.type}`);
-  
-  // Handle the event
+
+  return db.jobCreditBalance(jobId, "paid") > 0;
+}
+
+// ==============================================================================
+// REFUNDS, DISPUTES, CANCELED HOLDS AND EXPIRED CHECKOUTS (webhook handlers)
+// ==============================================================================
+//
+// These usually happen outside our code (Stripe dashboard, the bank, Stripe's
+// 7-day authorization expiry). Each handler updates the payment record,
+// revokes a paid credit that hasn't been used yet, and flags the job for
+// review when a customer may have kept a video they no longer paid for.
+
+// jobId for a PaymentIntent: our metadata first, then our own records
+function jobIdForPaymentIntent(paymentIntentId, metadata) {
+  if (metadata?.jobId) return metadata.jobId;
+  if (!paymentIntentId) return null;
+  return db.getPaymentByIntent(paymentIntentId)?.jobId || null;
+}
+
+function flagJobForReview(jobId, reason) {
+  if (db.flagPaymentForReview(jobId, reason)) {
+    console.log(`🚩 Flagged for review: jobId=${jobId}, reason=${reason}`);
+  }
+}
+
+// True once the customer has the finished video for this job
+function wasVideoDelivered(jobId) {
+  return getRenderJob(jobId)?.stage === "done";
+}
+
+async function handleCheckoutExpired(session) {
+  const jobId = session.metadata?.jobId;
+  console.log(`⌛ Checkout expired: sessionId=${session.id}, jobId=${jobId}`);
+  if (!jobId) return;
+
+  // Nothing was authorized; keep a record so the job isn't a mystery later
+  const { created } = db.insertPayment(jobId, { sessionId: session.id, status: "expired" });
+  if (!created) {
+    console.log(`⚠️ Checkout expired for a job with a payment record: jobId=${jobId}`);
+  }
+  revokeUnspentPaidCredit(jobId, "checkout_expired");
+}
+
+async function handlePaymentIntentCanceled(paymentIntent) {
+  const jobId = jobIdForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+  console.log(
+    `🚫 PaymentIntent canceled: piId=${paymentIntent.id}, jobId=${jobId}, ` +
+    `reason=${paymentIntent.cancellation_reason || "none"}`
+  );
+
+  const record = jobId ? getPayment(jobId) : null;
+  if (!record) {
+    console.warn(`⚠️ No payment record for canceled PaymentIntent ${paymentIntent.id}`);
+    return;
+  }
+
+  // Already handled by cancelPayment
+  if (record.status === "canceled") return;
+
+  markJobStatus(jobId, "canceled");
+  revokeUnspentPaidCredit(jobId, "hold_canceled");
+
+  if (wasVideoDelivered(jobId)) {
+    flagJobForReview(
+      jobId,
+      `hold canceled outside SeeAgain (${paymentIntent.cancellation_reason || "unknown"}) after the video was delivered`
+    );
+  }
+}
+
+async function handleAmountCapturableUpdated(paymentIntent) {
+  const jobId = jobIdForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+  console.log(
+    `💳 Amount capturable updated: piId=${paymentIntent.id}, jobId=${jobId}, ` +
+    `amount=${paymentIntent.amount_capturable}`
+  );
+
+  if (!jobId || !paymentIntent.amount_capturable) return;
+
+  // checkout.session.completed normally records this first
+  const record = getPayment(jobId);
+  if (record?.paymentIntentId) return;
+
+  await recordAuthorizedPayment({ jobId, paymentIntentId: paymentIntent.id });
+}
+
+async function handleChargeRefunded(charge) {
+  const paymentIntentId =
+    typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+  const jobId = jobIdForPaymentIntent(paymentIntentId, charge.metadata);
+  const fullRefund = charge.refunded === true;
+
+  console.log(
+    `↩️ Charge refunded: chargeId=${charge.id}, jobId=${jobId}, ` +
+    `amount=${charge.amount_refunded}/${charge.amount}, full=${fullRefund}`
+  );
+
+  if (!jobId || !getPayment(jobId)) {
+    console.warn(`⚠️ No payment record for refunded charge ${charge.id}`);
+    return;
+  }
+
+  markJobStatus(jobId, fullRefund ? "refunded" : "partially_refunded");
+
+  if (fullRefund) {
+    revokeUnspentPaidCredit(jobId, "refunded");
+  }
+  flagJobForReview(
+    jobId,
+    fullRefund
+      ? "charge fully refunded in Stripe"
+      : `charge partially refunded (${charge.amount_refunded} of ${charge.amount} cents)`
+  );
+}
+
+async function handleDisputeCreated(dispute) {
+  let paymentIntentId =
+    typeof dispute.payment_intent === "string" ? dispute.payment_intent : dispute.payment_intent?.id;
+
+  // Older API versions only link the charge
+  if (!paymentIntentId && dispute.charge) {
+    try {
+      const chargeId = typeof dispute.charge === "string" ? dispute.charge : dispute.charge.id;
+      const charge = await stripe.charges.retrieve(chargeId);
+      paymentIntentId = charge.payment_intent;
+    } catch (err) {
+      console.error(`❌ Could not look up disputed charge:`, err.message);
+    }
+  }
+
+  const jobId = jobIdForPaymentIntent(paymentIntentId, dispute.metadata);
+  console.log(`⚠️ Dispute created: disputeId=${dispute.id}, jobId=${jobId}, reason=${dispute.reason}`);
+
+  if (!jobId || !getPayment(jobId)) {
+    console.warn(`⚠️ No payment record for dispute ${dispute.id}`);
+    return;
+  }
+
+  markJobStatus(jobId, "disputed");
+  revokeUnspentPaidCredit(jobId, "disputed");
+  flagJobForReview(jobId, `dispute opened (${dispute.reason || "no reason given"})`);
+}
+
+// ==============================================================================
+// STRIPE EVENT DISPATCH (shared by the webhook and replays)
+// ==============================================================================
+
+// A delivery still "processing" after this long died with its process
+const WEBHOOK_STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+async function processStripeEvent(event) {
   switch (event.type) {
     case "checkout.session.completed": {
-      const session = event.data.object;
-      const jobId = session.metadata?.jobId;
-      const paymentIntentId = session.payment_intent;
-      
-      console.log(`💰 Checkout completed: sessionId=${session.id}, jobId=${jobId}, piId=${paymentIntentId}`);
-      
-      if (jobId && paymentIntentId) {
-        // Check if job already completed before webhook arrived (race condition)
-        const pendingStatus = getPendingJobStatus(jobId);
-        
-        if (pendingStatus) {
-          // Job finished before webhook - update with payment info and process
-          paymentsStore[jobId].paymentIntentId = paymentIntentId;
-          paymentsStore[jobId].sessionId = session.id;
-          savePayments();
-          
-          console.log(`🔄 Processing delayed job completion: jobId=${jobId}, status=${pendingStatus}`);
-          
-          if (pendingStatus === "render_succeeded") {
-            await capturePayment(jobId);
-          } else if (pendingStatus === "render_failed") {
-            await cancelPayment(jobId);
-          }
-        } else {
-          // Normal flow: record the payment authorization
-          recordPayment(jobId, paymentIntentId, session.id);
-        }
-      } else {
-        console.warn("⚠️ Checkout completed but missing jobId or paymentIntentId");
-      }
+      await handleCheckoutCompleted(event.data.object);
       break;
     }
     
@@ -348,21 +871,214 @@ app.post("/stripe/webhook", express.raw({ type: "application/json" }), async (re
       break;
     }
     
+    case "checkout.session.expired":
+      await handleCheckoutExpired(event.data.object);
+      break;
+
+    case "payment_intent.canceled":
+      await handlePaymentIntentCanceled(event.data.object);
+      break;
+
+    case "payment_intent.amount_capturable_updated":
+      await handleAmountCapturableUpdated(event.data.object);
+      break;
+
+    case "charge.refunded":
+      await handleChargeRefunded(event.data.object);
+      break;
+
+    case "charge.dispute.created":
+      await handleDisputeCreated(event.data.object);
+      break;
+    
     default:
       console.log(`📨 Unhandled webhook event: ${event.type}`);
   }
+}
+
+// Run one stored event through processStripeEvent and record the outcome
+async function runStripeEvent(event) {
+  try {
+    await processStripeEvent(event);
+    db.finishWebhookEvent(event.id, "processed");
+    return { ok: true };
+  } catch (err) {
+    console.error(`❌ Webhook processing failed: ${event.type} (${event.id}):`, err);
+    db.finishWebhookEvent(event.id, "failed", err.message || String(err));
+    return { ok: false, error: err.message || String(err) };
+  }
+}
+
+// Re-run a stored event after a fix, without asking Stripe to resend it
+async function replayWebhookEvent(eventId) {
+  const stored = db.getWebhookEvent(eventId);
+  if (!stored) return null;
+
+  console.log(`🔁 Replaying webhook event: ${stored.type} (${eventId}), previous status=${stored.status}`);
+  db.restartWebhookEvent(eventId);
+  const outcome = await runStripeEvent(stored.payload);
+
+  return { ...outcome, event: db.getWebhookEvent(eventId) };
+}
+
+// ==============================================================================
+// STRIPE WEBHOOK ENDPOINT - MUST BE BEFORE express.json() MIDDLEWARE
+// ==============================================================================
+
+app.post("/stripe/webhook", express.raw({ type: "application/json" }), async (req, res) => {
+  const sig = req.headers["stripe-signature"];
+  
+  let event;
+  
+  try {
+    if (STRIPE_WEBHOOK_SECRET) {
+      event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
+    } else {
+      // Fallback for development without webhook secret
+      event = JSON.parse(req.body.toString());
+      console.warn("⚠️ Webhook signature not verified (STRIPE_WEBHOOK_SECRET not set)");
+    }
+  } catch (err) {
+    console.error("❌ Webhook signature verification failed:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+  
+  if (!event?.id) {
+    return res.status(400).send("Webhook Error: event has no id");
+  }
+
+  console.log(`📨 Stripe webhook received: ${event.type} (${event.id})`);
+
+  // Stripe delivers at least once - skip events we've already handled
+  const claim = db.claimWebhookEvent(event, WEBHOOK_STALE_PROCESSING_MS);
+  if (!claim.claimed) {
+    console.log(`⏭️ Duplicate webhook skipped: ${event.id} (${claim.previousStatus})`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  const outcome = await runStripeEvent(event);
+  if (!outcome.ok) {
+    // Non-2xx makes Stripe retry; the failure is also kept for replay
+    return res.status(500).json({ received: true, error: outcome.error });
+  }
   
   // Respond quickly to acknowledge receipt
   res.status(200).json({ received: true });
 });
 
+// ==============================================================================
+// ABUSE PROTECTION — origin allowlist, rate limits, concurrent renders
+// ==============================================================================
+//
+// Every render spends AIML credit and every suggestion a Gemini call, so
+// other sites must not be able to drive them from their visitors' browsers,
+// and one client can only make so many requests. The free-credit check in
+// /animate_photo is server-side already; these limits are on top of it.
+
+const ALLOWED_ORIGINS = new Set(
+  String(process.env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean)
+);
+
+// Requests without an Origin (curl, render pipelines, Stripe) aren't from a
+// browser page; the rate limits still apply to them
+function originAllowed(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (ALLOWED_ORIGINS.has(origin)) return true;
+  try {
+    return new URL(origin).host === req.get("host");
+  } catch {
+    return false; // "null" (sandboxed frames, file://)
+  }
+}
+
+const UNSAFE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// CORS only stops a foreign page from reading the answer, not a simple POST
+// from being sent, so those are refused outright
+function rejectForeignOrigins(req, res, next) {
+  if (!UNSAFE_METHODS.has(req.method) || originAllowed(req)) return next();
+  console.warn(`🚫 ${req.method} ${req.path} from foreign origin ${req.headers.origin}`);
+  res.status(403).json({ error: "Origin not allowed", code: "origin_not_allowed" });
+}
+
+const rateLimiters = {
+  animate: createRateLimiter(parseLimits(process.env.RATE_LIMIT_ANIMATE || "ip=20/1h,session=10/1h")),
+  suggest: createRateLimiter(parseLimits(process.env.RATE_LIMIT_SUGGEST || "ip=60/1h,session=30/1h")),
+  checkout: createRateLimiter(parseLimits(process.env.RATE_LIMIT_CHECKOUT || "ip=20/1h,session=10/1h")),
+  newCustomer: createRateLimiter(parseLimits(process.env.RATE_LIMIT_NEW_CUSTOMER || "ip=10/1h"))
+};
+
+// 429 { error, code: "rate_limited", retryAfter } for a limiter's verdict
+function sendRateLimited(req, res, verdict) {
+  res.set("Retry-After", String(verdict.retryAfterSec));
+  res.status(429).json({
+    error: t(requestLanguage(req), "errors.rate_limited", { minutes: Math.ceil(verdict.retryAfterSec / 60) }),
+    code: "rate_limited",
+    retryAfter: verdict.retryAfterSec
+  });
+}
+
+// Middleware counting a request against rateLimiters[name]; 429 once the IP
+// or the customer cookie is over a limit. skip(req) exempts a request.
+function rateLimit(name, { skip } = {}) {
+  const limiter = rateLimiters[name];
+  return (req, res, next) => {
+    if (skip?.(req)) return next();
+
+    const session = parseCookies(req.headers.cookie)[CUSTOMER_COOKIE];
+    const verdict = limiter.hit({ ip: req.ip, session });
+    if (verdict.allowed) return next();
+
+    console.warn(`🚦 Rate limited: ${name} ${verdict.scope}=${verdict.scope === "ip" ? req.ip : session} (${verdict.limit} per ${verdict.windowMs / 1000}s)`);
+    sendRateLimited(req, res, verdict);
+  };
+}
+
+// A render of the caller's own paid checkout isn't limited: it has an unspent
+// paid credit, or its checkout completed and the hold is on the card. Anything
+// else counts, including someone else's jobId and a checkout the webhook
+// hasn't confirmed yet (that render asks Stripe, see ensurePaidCredit).
+function isCheckoutRender(req) {
+  const jobId = req.body?.jobId;
+  if (typeof jobId !== "string") return false;
+
+  const customerId = parseCookies(req.headers.cookie)[CUSTOMER_COOKIE];
+  if (!customerId || db.getCheckout(jobId)?.customerId !== customerId) return false;
+  return db.jobCreditBalance(jobId, "paid") > 0 || getPayment(jobId)?.status === "authorized";
+}
+
+const MAX_ACTIVE_RENDERS = Number(process.env.MAX_ACTIVE_RENDERS) || 8;
+const MAX_RENDERS_PER_CUSTOMER = Number(process.env.MAX_RENDERS_PER_CUSTOMER) || 1;
+const RENDER_BUSY_RETRY_SEC = 60;
+
+// Why a free render can't start now ("too_many_renders" / "renders_busy"),
+// or null. Paid renders count towards the limits but are always started.
+function renderCapacityProblem(customerId) {
+  const running = db.unfinishedJobs();
+  if (running.filter((job) => job.customerId === customerId).length >= MAX_RENDERS_PER_CUSTOMER) {
+    return "too_many_renders";
+  }
+  if (running.length >= MAX_ACTIVE_RENDERS) return "renders_busy";
+  return null;
+}
+
 // ==============================================================================
 // MIDDLEWARE (after webhook endpoint)
 // ==============================================================================
 
-app.use(cors());
-app.use(formData.parse());
-app.use(express.json({ limit: '20mb' }));
+app.use(cors((req, callback) => callback(null, { origin: originAllowed(req) })));
+app.use(rejectForeignOrigins);
+app.use(express.json({
+  limit: '20mb',
+  // Keep the exact bytes for routes that verify a signature over the body
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Serve static files with caching for videos
 app.use(express.static(path.join(__dirname, "public"), {
@@ -372,165 +1088,374 @@ app.use(express.static(path.join(__dirname, "public"), {
     if (filePath.includes("/gallery/") && filePath.endsWith(".mp4")) {
       res.setHeader("Cache-Control", "public, max-age=604800"); // 7 days
     }
-    // Shorter cache for generated outputs (user might regenerate)
-    if (filePath.includes("/outputs/") && filePath.endsWith(".mp4")) {
-      res.setHeader("Cache-Control", "public, max-age=3600"); // 1 hour
-    }
   }
 }));
 
-// ---- STREAMING DOWNLOAD ROUTE (for iOS Save to Photos) ----
-app.get("/api/download/:filename", (req, res) => {
-  try {
-    // Sanitize filename to prevent path traversal
-    const filename = path.basename(req.params.filename);
-    
-    // Only allow .mp4 files from outputs directory
-    if (!filename.endsWith(".mp4")) {
-      return res.status(400).send("Invalid file type");
-    }
-    
-    const filePath = path.join(__dirname, "public", "outputs", filename);
-    
-    // Check file exists
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).send("File not found");
+// ---- PRIVATE OUTPUTS (signed, expiring links) ----
+//
+// Rendered files live in storage (local disk or an S3 bucket, see
+// lib/storage/index.js) under "outputs/", never in the static root, and are
+// only served by /api/download with a signature over (jobId, filename,
+// expiry). Links are signed whenever a job is read (serializeRenderJob), so a
+// client always gets fresh ones; the file must also belong to that job
+// (jobs.output_key).
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+const storage = createStorage(STORAGE_DRIVER, {
+  root: process.env.STORAGE_DIR || path.join(__dirname, "storage"),
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION,
+  endpoint: process.env.S3_ENDPOINT,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  prefix: process.env.S3_PREFIX
+});
+console.log(`🗄️ Storage: ${storage.name}${storage.bucket ? ` (bucket ${storage.bucket})` : ` (${storage.root})`}`);
+
+// Folders that held rendered files before storage existed
+const LEGACY_OUTPUT_DIRS = [path.join(__dirname, "public", "outputs"), path.join(__dirname, "outputs")];
+const OUTPUT_URL_TTL_SEC = Number(process.env.OUTPUT_URL_TTL_SEC) || 24 * 60 * 60; // 24 hours
+
+const OUTPUT_URL_SECRET = process.env.OUTPUT_URL_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.OUTPUT_URL_SECRET) {
+  console.warn("⚠️ OUTPUT_URL_SECRET not set - download links stop working after a restart");
+}
+
+function outputSignature(jobId, filename, expires) {
+  return crypto
+    .createHmac("sha256", OUTPUT_URL_SECRET)
+    .update(`${jobId}.${filename}.${expires}`)
+    .digest("hex");
+}
+
+// "/api/download/<file>?disposition=inline" -> same URL + job, expires, sig.
+// Older results stored "/outputs/<file>" public paths; those are upgraded.
+function signOutputUrl(jobId, url, now = Date.now()) {
+  const legacy = /^\/outputs\/([^/?]+)$/.exec(url);
+  const parsed = new URL(legacy ? `/api/download/${legacy[1]}?disposition=inline` : url, "http://x");
+  const filename = path.basename(parsed.pathname);
+  const expires = Math.floor(now / 1000) + OUTPUT_URL_TTL_SEC;
+
+  parsed.searchParams.set("job", jobId);
+  parsed.searchParams.set("expires", String(expires));
+  parsed.searchParams.set("sig", outputSignature(jobId, filename, expires));
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+// Sign every output link inside a job result (videoUrl, exports, sprite, ...)
+function signResultUrls(jobId, value) {
+  if (typeof value === "string") {
+    return /^\/(api\/download|outputs)\//.test(value) ? signOutputUrl(jobId, value) : value;
+  }
+  if (Array.isArray(value)) return value.map((v) => signResultUrls(jobId, v));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, signResultUrls(jobId, v)]));
+  }
+  return value;
+}
+
+// Returns null when the link is valid, otherwise why it isn't
+function checkOutputSignature(filename, { job: jobId, expires, sig }) {
+  if (!jobId || !expires || !sig || !/^[a-f0-9]{64}$/.test(sig)) return "missing signature";
+  if (Number(expires) * 1000 < Date.now()) return "link expired";
+
+  const expected = outputSignature(jobId, filename, expires);
+  if (!crypto.timingSafeEqual(Buffer.from(expected, "hex"), Buffer.from(sig, "hex"))) {
+    return "bad signature";
+  }
+
+  // Jobs rendered before output_key existed only name their files in the result
+  const outputKey = OUTPUT_KEY_PATTERN.exec(filename)?.[1];
+  const job = db.getJob(jobId);
+  const ownsFile =
+    outputKey && job && (job.outputKey === outputKey || JSON.stringify(job.result || {}).includes(`/${outputKey}-`));
+  return ownsFile ? null : "file does not belong to job";
+}
+
+// One-time import of files rendered before storage existed (public/outputs,
+// then ./outputs) into the configured driver
+async function importLegacyOutputs() {
+  for (const dir of LEGACY_OUTPUT_DIRS) {
+    if (!fs.existsSync(dir)) continue;
+
+    let moved = 0;
+    let failed = 0;
+    for (const file of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, file);
+      try {
+        await storeOutput(filePath);
+        await fs.promises.unlink(filePath);
+        moved++;
+      } catch (err) {
+        failed++;
+        console.error(`⚠️ Could not move ${file} into storage:`, err.message);
+      }
     }
-    
-    const stat = fs.statSync(filePath);
-    
-    // Set headers for download
-    res.setHeader("Content-Type", "video/mp4");
-    res.setHeader("Content-Length", stat.size);
-    res.setHeader("Content-Disposition", `attachment; filename="SeeAgain-animation.mp4"`);
-    res.setHeader("Cache-Control", "no-cache");
-    
-    // Stream the file (memory efficient)
-    const readStream = fs.createReadStream(filePath);
-    readStream.pipe(res);
-    
-    readStream.on("error", (err) => {
-      console.error("Stream error:", err);
-      if (!res.headersSent) {
-        res.status(500).send("Error streaming file");
+    if (!failed) fs.rmSync(dir, { recursive: true, force: true });
+    if (moved) console.log(`🗄️ Moved ${moved} files from ${dir} into ${storage.name} storage`);
+  }
+}
+
+const DOWNLOAD_CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".jpg": "image/jpeg"
+};
+
+// Every file of a render starts with "anim-<ts>"; the rest says what it is
+const OUTPUT_KEY_PATTERN = /^(anim-(\d+))-(?:raw|wm)(.*)$/;
+
+importLegacyOutputs().catch((err) => console.error("❌ Legacy output import failed:", err.message));
+
+function outputStorageKey(filename) {
+  return storageKey("outputs", filename);
+}
+
+// Filename from a result link ("/api/download/<file>?disposition=inline")
+function outputFilenameFromUrl(url) {
+  return path.basename(new URL(url, "http://x").pathname);
+}
+
+// Store a finished local file as an output (same filename)
+async function storeOutput(filePath) {
+  const filename = path.basename(filePath);
+  await storage.put(outputStorageKey(filename), filePath, {
+    contentType: DOWNLOAD_CONTENT_TYPES[path.extname(filename)]
+  });
+  return filename;
+}
+
+// ffmpeg needs local files: run fn(workDir) in a fresh temp folder that is
+// removed afterwards, whatever happens
+async function withWorkDir(fn) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "seeagain-"));
+  try {
+    return await fn(workDir);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Local path of a stored file: the file itself with the local driver,
+// otherwise a copy downloaded into workDir
+async function localStoredPath(key, workDir) {
+  const direct = storage.localPath(key);
+  if (direct) return direct;
+
+  const filePath = path.join(workDir, path.basename(key));
+  await storage.download(key, filePath);
+  return filePath;
+}
+
+// renditionFilename -> encode already running
+const renditionsInProgress = new Map();
+
+// Encode `rendition` of a video once; concurrent requests share the encode.
+// The result is only stored once complete, so half a file is never served.
+async function ensureRendition(videoFilename, rendition) {
+  const filename = renditionFilename(videoFilename, rendition);
+  if (!renditionsInProgress.has(filename) && (await storage.stat(outputStorageKey(filename)))) return filename;
+
+  if (!renditionsInProgress.has(filename)) {
+    const run = withWorkDir(async (workDir) => {
+      const outPath = path.join(workDir, filename);
+      await runFfmpeg(renditionArgs(rendition, await localStoredPath(outputStorageKey(videoFilename), workDir), outPath));
+      return storeOutput(outPath);
+    }).finally(() => renditionsInProgress.delete(filename));
+    renditionsInProgress.set(filename, run);
+  }
+  return renditionsInProgress.get(filename);
+}
+
+// "SeeAgain-2026-10-18-mgw3k2a1-720p.mp4": render date, output, what it is.
+// The short id comes from the output key's timestamp, never from the jobId
+// (whose random part is what lets someone see the job).
+function downloadFilename(filename) {
+  const match = OUTPUT_KEY_PATTERN.exec(filename);
+  if (!match) return `SeeAgain-animation${path.extname(filename)}`;
+
+  const [, outputKey, ts, rest] = match;
+  const job = db.jobByOutputKey(outputKey);
+  const date = new Date(job?.createdAt || Number(ts)).toISOString().slice(0, 10);
+  const outputPart = Number(ts).toString(36);
+  const kind = rest.replace(/\.[a-z0-9]+$/, ""); // "", "-720p", "-boomerang", ...
+
+  return `SeeAgain-${date}-${outputPart}${kind}${path.extname(filename)}`;
+}
+
+// GET /api/download/:filename?job=&expires=&sig=  (see signOutputUrl)
+//   ?rendition=720p|1080p|hevc : other encode of an MP4 (made on first request)
+//   ?disposition=inline        : play in the browser instead of saving
+// Range requests (206), If-Range and conditional GETs work on every storage
+// driver (see sendStoredFile), so players can seek and interrupted downloads
+// resume where they stopped.
+app.get("/api/download/:filename", async (req, res) => {
+  try {
+    // Sanitize filename to prevent path traversal
+    let filename = path.basename(req.params.filename);
+
+    // Only allow the video and its exports from outputs directory
+    if (!DOWNLOAD_CONTENT_TYPES[path.extname(filename)]) {
+      return res.status(400).send("Invalid file type");
+    }
+
+    // Same answer for a missing file and a bad link, so names can't be probed
+    const linkProblem = checkOutputSignature(filename, req.query);
+    if (linkProblem || !(await storage.stat(outputStorageKey(filename)))) {
+      if (linkProblem) console.log(`🔒 Download refused: ${filename}, ${linkProblem}`);
+      return res.status(linkProblem === "link expired" ? 410 : 404).send(
+        linkProblem === "link expired" ? "This link has expired, reopen the animation to get a new one" : "File not found"
+      );
+    }
+
+    const { rendition } = req.query;
+    if (rendition !== undefined) {
+      if (!RENDITIONS[rendition] || path.extname(filename) !== ".mp4") {
+        return res.status(400).send(`Unknown rendition (expected one of: ${Object.keys(RENDITIONS).join(", ")})`);
       }
+      filename = await ensureRendition(filename, rendition);
+    }
+
+    const disposition = req.query.disposition === "inline" ? "inline" : "attachment";
+
+    await sendStoredFile(req, res, outputStorageKey(filename), {
+      "Content-Type": DOWNLOAD_CONTENT_TYPES[path.extname(filename)],
+      "Content-Disposition": `${disposition}; filename="${downloadFilename(filename)}"`,
+      "Cache-Control": "private, no-cache",
+      "X-Robots-Tag": "noindex"
     });
   } catch (err) {
     console.error("Download route error:", err);
-    res.status(500).send("Download failed");
+    if (!res.headersSent) res.status(500).send("Download failed");
+    else res.destroy();
   }
 });
 
-// ---- WATERMARK HELPERS ----
-function ensureDir(dirPath) {
-  if (!fs.existsSync(dirPath)) fs.mkdirSync(dirPath, { recursive: true });
+// Serve a stored object with one byte range at most (players only ask for
+// one). A multi-range or unparsable Range header gets the whole file, as
+// RFC 9110 allows; If-Range / If-None-Match compare against the stored ETag.
+async function sendStoredFile(req, res, key, headers) {
+  const info = await storage.stat(key);
+  if (!info) return res.status(404).send("File not found");
+
+  const { size, etag, lastModified } = info;
+  res.set({ ...headers, "Accept-Ranges": "bytes" });
+  if (etag) res.set("ETag", etag);
+  if (lastModified) res.set("Last-Modified", new Date(lastModified).toUTCString());
+
+  if (etag && req.headers["if-none-match"] === etag) {
+    return res.status(304).end();
+  }
+
+  // If-Range: only honour the range while the file is unchanged
+  const ifRange = req.headers["if-range"];
+  const rangeStillValid =
+    !ifRange ||
+    ifRange === etag ||
+    (lastModified && !ifRange.startsWith('"') && Date.parse(ifRange) >= Math.floor(lastModified / 1000) * 1000);
+
+  let start = 0;
+  let end = size - 1;
+  const match = rangeStillValid && /^bytes=(\d*)-(\d*)$/.exec(req.headers.range?.trim() || "");
+
+  if (match && (match[1] || match[2])) {
+    if (match[1]) {
+      start = Number(match[1]);
+      end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    } else {
+      start = Math.max(0, size - Number(match[2])); // "bytes=-500": last 500 bytes
+    }
+
+    if (start > end || start >= size) {
+      res.set("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
+    }
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+  } else {
+    res.status(200);
+  }
+
+  res.set("Content-Length", String(Math.max(0, end - start + 1)));
+  if (req.method === "HEAD" || size === 0) return res.end();
+
+  const body = await storage.read(key, { start, end });
+  try {
+    await pipeline(body, res);
+  } catch (err) {
+    // Players abort ranges all the time; only log real storage errors
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error(`Download stream failed for ${key}:`, err.message);
+    }
+  }
 }
 
+// ---- WATERMARK HELPERS ----
 async function downloadToFile(url, outPath) {
+  // Local fixtures (mock provider) are copied instead of fetched
+  if (url.startsWith("file:")) {
+    await fs.promises.copyFile(fileURLToPath(url), outPath);
+    return;
+  }
+
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Failed to download video: ${res.status} ${res.statusText}`);
   const buf = Buffer.from(await res.arrayBuffer());
   await fs.promises.writeFile(outPath, buf);
 }
 
+// Resolves with whatever ffmpeg wrote to stdout (raw frames for "pipe:1")
 function runFfmpeg(args) {
   return new Promise((resolve, reject) => {
     const p = spawn(ffmpegPath, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const stdout = [];
     let stderr = "";
+    p.stdout.on("data", (d) => stdout.push(d));
     p.stderr.on("data", (d) => (stderr += d.toString()));
     p.on("error", reject);
     p.on("close", (code) => {
-      if (code === 0) return resolve();
+      if (code === 0) return resolve(Buffer.concat(stdout));
       reject(new Error(`ffmpeg failed (code ${code}): ${stderr}`));
     });
   });
 }
 
 /* ===============================
-   FIXED LOGO WATERMARK (FFmpeg)
+   WATERMARK PROFILES (FFmpeg)
    =============================== */
 
-async function bakeLogoWatermark({ inputPath, outputPath }) {
-  const logoPath = path.join(__dirname, "public", "watermark.png");
+// Loaded once at startup; edits to the file show up in admin previews
+// straight away but only go live after a restart
+const WATERMARK_PROFILES_FILE =
+  process.env.WATERMARK_PROFILES_FILE || path.join(__dirname, "watermarks", "profiles.json");
+const WATERMARK_PREVIEW_VIDEO =
+  process.env.WATERMARK_PREVIEW_VIDEO || path.join(__dirname, "public", "gallery", "example5-video (1).mp4");
 
-  if (!fs.existsSync(logoPath)) {
-    throw new Error(`Watermark logo not found at ${logoPath}. Add public/watermark.png`);
-  }
+const watermarkConfig = loadWatermarkProfiles(WATERMARK_PROFILES_FILE);
+const LIVE_WATERMARK_PROFILE = process.env.WATERMARK_PROFILE || watermarkConfig.defaultProfile;
+const liveWatermarkProfile = watermarkConfig.profiles[LIVE_WATERMARK_PROFILE];
 
-  return new Promise((resolve, reject) => {
-    // BULLETPROOF watermark bake:
-    // - Scale watermark by FIXED PIXEL HEIGHT (preserves logo aspect ratio, no squish)
-    // - Force square pixels to avoid weird player stretching
-    // - Overlay bottom-right
-    const WM_H = 96;        // HUGE watermark (about 4x your original 24px)
-    const WM_OPACITY = 0.95;
-    const RIGHT = 24;
-    const BOTTOM = 24;
-
-    const filter =
-      "[0:v]format=rgba,setsar=1[base];" +
-      `[1:v]format=rgba,setsar=1,colorchannelmixer=aa=${WM_OPACITY},scale=-1:${WM_H}[wm];` +
-      `[base][wm]overlay=x=W-w-${RIGHT}:y=H-h-${BOTTOM}:format=auto,setsar=1[outv]`;
-
-    const args = [
-      "-y",
-      "-i", inputPath,
-      "-i", logoPath,
-      "-filter_complex", filter,
-      "-map", "[outv]",
-      "-map", "0:a?",
-      "-c:v", "libx264",
-      "-profile:v", "baseline",   // iPhone compatibility + fast decode
-      "-level", "3.0",
-      "-pix_fmt", "yuv420p",
-      "-movflags", "+faststart",  // Fast start for streaming
-      "-preset", "fast",          // Faster encode, still good quality
-      "-crf", "23",               // Good quality
-      outputPath
-    ];
-
-    const proc = spawn(ffmpegPath, args);
-
-    proc.stderr.on("data", d => {
-      console.log("[ffmpeg]", d.toString());
-    });
-
-    proc.on("error", reject);
-
-    proc.on("close", code => {
-      if (code === 0) resolve();
-      else reject(new Error(`FFmpeg watermark failed with code ${code}`));
-    });
-  });
+if (!liveWatermarkProfile) {
+  throw new Error(`WATERMARK_PROFILE "${LIVE_WATERMARK_PROFILE}" is not defined in ${WATERMARK_PROFILES_FILE}`);
+}
+console.log(`🔖 Watermark profile: ${LIVE_WATERMARK_PROFILE}`);
+
+// The profile a free render was started with; the live one for jobs from
+// before profiles were per render, or whose profile has left the file since
+function renderWatermarkProfile(job) {
+  const name = job?.watermarkProfile;
+  if (name && Object.hasOwn(watermarkConfig.profiles, name)) return watermarkConfig.profiles[name];
+  if (name) console.warn(`⚠️ Watermark profile "${name}" is gone, using ${LIVE_WATERMARK_PROFILE}: jobId=${job.jobId}`);
+  return liveWatermarkProfile;
 }
 
-// ==================================================
-// MOTION ENFORCER (USED ONLY WHEN ANIMATING)
-// Allows mouth movement but NO SPEECH / NO LIP-SYNC
-// ==================================================
-
-function enforceVisibleMotionNoSpeech(prompt) {
-  const p0 = String(prompt || "").trim();
-
-  // Remove speech-related intent but allow mouth movement
-  const cleaned = p0
-    .replace(/\b(talk|talking|speak|speaking|say|saying|whisper|whispering|sing|singing|lyrics|dialogue|conversation|lip\s*sync|lipsync|dub|voice|words|mouthing)\b/gi, "")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  const base = cleaned || "Subtle natural movement only.";
-
-  const hardRules =
-    "No talking, no forming words, no lip-sync, and no sound. " +
-    "The mouth may move naturally but must not articulate speech. " +
-    "No camera movement. Do not change clothing, lighting, background, or identity.";
-
-  const forcedMotion =
-    "Visible but natural motion includes two full blinks, gentle breathing, and a tiny head tilt.";
+// Customer-facing messages and curated suggestions per language (lib/i18n.js)
+const t = createTranslator(loadCatalogs(path.join(__dirname, "locales")));
 
-  return `${base}${base.endsWith(".") ? "" : "."} ${forcedMotion} ${hardRules}`
-    .replace(/\s+/g, " ")
-    .trim();
+// { error, code } for an ImageError or PromptError, in the customer's language
+function localizedError(language, err) {
+  const key = err instanceof ImageError ? `errors.image.${err.key}` : `errors.prompt.${err.code}`;
+  return { error: t(language, key, err.params), code: err.code };
 }
 
 // ---- ROOT ROUTE (serves main UI) ----
@@ -538,12 +1463,19 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+// The page builds its preset picker and prompt preview from the same module
+// the server composes prompts with
+app.get("/prompt-composer.js", (req, res) => {
+  res.sendFile(path.join(__dirname, "lib", "prompt-composer.js"));
+});
+
 // ---- STRIPE CHECKOUT ROUTE (with manual capture) ----
-app.post("/create-checkout-session", async (req, res) => {
+app.post("/create-checkout-session", rateLimit("checkout"), async (req, res) => {
   try {
-    // Generate a unique jobId BEFORE creating session
-    // Frontend should pass this, or we generate one
-    const jobId = req.body.jobId || `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // The jobId is always ours: it is the only thing between someone who
+    // guesses it and the job, so a client-chosen one is ignored
+    const jobId = newJobId();
+    const customerId = getCustomerId(req, res);
     
     console.log(`💳 Creating checkout session with jobId: ${jobId}`);
     
@@ -562,7 +1494,8 @@ app.post("/create-checkout-session", async (req, res) => {
       ],
       // Session-level metadata
       metadata: {
-        jobId: jobId
+        jobId: jobId,
+        customerId: customerId
       },
       // Payment intent settings for manual capture
       payment_intent_data: {
@@ -575,6 +1508,9 @@ app.post("/create-checkout-session", async (req, res) => {
       cancel_url: `${req.protocol}://${req.get("host")}/cancel.html?jobId=${jobId}`,
     });
 
+    // Lets /animate_photo confirm the payment if it runs before the webhook
+    db.recordCheckout(jobId, session.id, customerId);
+
     console.log(`✅ Checkout session created: sessionId=${session.id}, jobId=${jobId}`);
     
     res.json({ url: session.url, jobId: jobId });
@@ -593,21 +1529,825 @@ app.get("/cancel", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "cancel.html"));
 });
 
-// ---- AI ROUTES (KEEP EXISTING LOGIC) ----
+// ==============================================================================
+// RENDER JOBS - /animate_photo returns a jobId right away, progress is read
+// from GET /jobs/:jobId or streamed from GET /jobs/:jobId/events (SSE)
+// ==============================================================================
+
+// Stage flow: submitted -> provider_queued -> rendering -> downloading
+//             -> checking -> watermarking -> done | failed
+// (checking -> submitted when a still video is rendered again)
+const SSE_HEARTBEAT_MS = 25_000;
+
+// Videos with no pair of frames changing this much are rendered again, then
+// failed (see lib/motion-check.js)
+const MOTION_THRESHOLDS = {
+  minChangedPct: Number(process.env.MOTION_MIN_CHANGED_PCT) || MOTION_DEFAULTS.minChangedPct
+};
+const MAX_MOTION_RERENDERS = 1;
+
+// Emits `${jobId}` with the serialized job on every stage change
+const renderJobEvents = new EventEmitter();
+renderJobEvents.setMaxListeners(0); // one listener per open SSE stream
+
+// The random part is what keeps a job (and its signed output links) private
+function newJobId() {
+  return `job-${Date.now()}-${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function createRenderJob(jobId, { isPaidJob, customerId, prompt, promptSpec, hideWatermark, watermarkProfile = null }) {
+  const now = Date.now();
+  const job = {
+    jobId,
+    isPaidJob,
+    customerId,
+    prompt,
+    promptSpec,
+    hideWatermark,
+    watermarkProfile,
+    stage: "submitted",
+    message: "Job accepted",
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
 
-app.post("/animate_photo", async (req, res) => {
+  db.insertJob(job);
+  console.log(`🆕 Render job created: jobId=${jobId}, paid=${isPaidJob}`);
+  return job;
+}
+
+function getRenderJob(jobId) {
+  return db.getJob(jobId);
+}
+
+// Render job if it exists and belongs to this customer, otherwise null
+function customerRenderJob(jobId, customerId) {
+  const job = getRenderJob(jobId);
+  return job && job.customerId === customerId ? job : null;
+}
+
+function isRenderJobFinished(job) {
+  return job.stage === "done" || job.stage === "failed";
+}
+
+// Move a job to a stage (or refresh its message) and notify open SSE streams
+function updateRenderJob(jobId, stage, fields = {}) {
+  const job = db.getJob(jobId);
+  if (!job) return null;
+
+  if (job.stage !== stage) {
+    console.log(`🎞️ Render job ${jobId}: ${job.stage} -> ${stage}`);
+  }
+  Object.assign(job, fields, { stage, updatedAt: Date.now() });
+  db.updateJob(job);
+
+  renderJobEvents.emit(jobId, serializeRenderJob(job));
+  return job;
+}
+
+// Public view of a job (status endpoint + SSE payload)
+function serializeRenderJob(job) {
+  return {
+    jobId: job.jobId,
+    stage: job.stage,
+    finished: isRenderJobFinished(job),
+    message: job.message,
+    result: signResultUrls(job.jobId, job.result),
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    history: db.transitionsFor("job", job.jobId).map((t) => ({ stage: t.to, at: t.at }))
+  };
+}
+
+function renderJobLinks(job) {
+  const id = encodeURIComponent(job.jobId);
+  return {
+    ok: true,
+    jobId: job.jobId,
+    stage: job.stage,
+    statusUrl: `/jobs/${id}`,
+    eventsUrl: `/jobs/${id}/events`
+  };
+}
+
+// Provider states -> render job stages
+const RENDER_STAGE_FOR_PROVIDER_STATE = {
+  queued: "provider_queued",
+  rendering: "rendering"
+};
+
+// Runs the whole render in the background; never throws.
+// `resume` ({ generationId, startedAt }) picks up a provider generation that
+// was started before a restart instead of creating a new one.
+// A video without visible motion (lib/motion-check.js) is rendered once more
+// with stronger presets; if that one is still, the job fails, so a paid hold
+// is canceled instead of captured and a free credit is given back.
+async function runRenderJob({ jobId, isPaidJob, customerId, base64Image, finalPrompt, hideWatermark, resume = null }) {
+  const onStatus = (state, raw) => {
+    const stage = RENDER_STAGE_FOR_PROVIDER_STATE[state] || "rendering";
+    updateRenderJob(jobId, stage, {
+      message: `Animation model status: ${raw?.status || raw?.state || state}`
+    });
+  };
+
+  try {
+    let prompt = finalPrompt;
+    let spec = getRenderJob(jobId)?.promptSpec || null;
+    let rerenders = 0;
+
+    for (;;) {
+      // The generation id is stored before the first poll, see resumeInterruptedRenderJobs
+      const providerVideoUrl = resume
+        ? await pollGeneration(videoProvider, resume.generationId, { startedAt: resume.startedAt, onStatus })
+        : await generateVideo(
+            videoProvider,
+            { imageUrl: base64Image, prompt, duration: 5 },
+            {
+              onCreated: (generationId, startedAt) =>
+                db.setJobGeneration(jobId, { provider: videoProvider.name, generationId, startedAt }),
+              onStatus
+            }
+          );
+      resume = null;
+
+      // Now we have providerVideoUrl - download, check and optionally watermark it
+      console.log('📥 Downloading video from provider...');
+      updateRenderJob(jobId, "downloading", { message: "Downloading video" });
+
+      const id = `anim-${Date.now()}`;
+
+      // Everything is made in a temp folder; only the finished files are stored
+      const output = await withWorkDir(async (workDir) => {
+        const rawPath = path.join(workDir, `${id}-raw.mp4`);
+        const wmPath = path.join(workDir, `${id}-wm.mp4`);
+
+        // Download provider MP4 to disk
+        await downloadToFile(providerVideoUrl, rawPath);
+        console.log('✅ Video downloaded to:', rawPath);
+
+        // A still video is never stored or charged for
+        updateRenderJob(jobId, "checking", { message: "Checking the animation for motion" });
+        const motion = await checkMotion(jobId, rawPath);
+        if (motion && isNearStatic(motion, MOTION_THRESHOLDS)) {
+          return { motion, still: true };
+        }
+
+        db.setJobOutputKey(jobId, id);
+
+        // Watermark was decided by /animate_photo from the credit ledger:
+        // - Free credit: watermark ON, with the job's profile
+        // - Paid credit: hideWatermark = true => watermark OFF
+        let finalPath = rawPath;
+        let wasWatermarked = false;
+
+        if (!hideWatermark) {
+          updateRenderJob(jobId, "watermarking", { message: "Adding watermark" });
+
+          try {
+            const profile = renderWatermarkProfile(getRenderJob(jobId));
+            console.log(`🔖 Baking watermark into video (profile: ${profile.name})...`);
+            await bakeWatermark({ profile, inputPath: rawPath, outputPath: wmPath, runFfmpeg });
+            console.log('✅ Watermarked video saved to:', wmPath);
+            finalPath = wmPath;
+            wasWatermarked = true;
+          } catch (err) {
+            console.error("⚠️ Watermark failed, returning raw video:", err.message);
+            finalPath = rawPath;
+            wasWatermarked = false;
+          }
+        } else {
+          console.log('💎 Paid animation - no watermark');
+        }
+
+        const previews = await renderPreviewImages(finalPath, workDir);
+        const finalFilename = await storeOutput(finalPath);
+        console.log(`🗄️ Stored ${finalFilename} (${storage.name})`);
+
+        return { motion, finalFilename, wasWatermarked, previews };
+      });
+
+      if (output.still) {
+        // A resumed render has no photo to send again, and an old job no spec
+        const stronger = spec && base64Image && rerenders < MAX_MOTION_RERENDERS ? strongerSpec(spec) : null;
+        if (!stronger) {
+          throw new ProviderError("no_motion", `${videoProvider.label} returned a video without visible motion.`, {
+            details: output.motion
+          });
+        }
+
+        rerenders += 1;
+        spec = stronger;
+        prompt = composePrompt(spec);
+        db.setJobPrompt(jobId, prompt, spec);
+        console.log(`🔁 No visible motion, rendering again with stronger presets: jobId=${jobId}`, prompt);
+        updateRenderJob(jobId, "submitted", { message: "No visible motion, animating again with stronger motion" });
+        continue;
+      }
+
+      const { motion, finalFilename, wasWatermarked, previews } = output;
+
+      // SUCCESS! If this is a paid job, capture the payment
+      if (isPaidJob) {
+        console.log(`✅ Animation succeeded for paid job: ${jobId}`);
+        await handleJobCompletion(jobId, true);
+      }
+
+      updateRenderJob(jobId, "done", {
+        message: "Animation ready",
+        result: {
+          videoUrl: `/api/download/${finalFilename}?disposition=inline`,
+          downloadUrl: `/api/download/${finalFilename}`,
+          renditions: Object.fromEntries(
+            Object.keys(RENDITIONS).map((r) => [r, `/api/download/${finalFilename}?rendition=${r}`])
+          ),
+          watermarked: wasWatermarked,
+          motion,
+          rerenders,
+          ...previews
+        }
+      });
+      return;
+    }
+  } catch (err) {
+    console.error(`💥 Render job failed: jobId=${jobId}`, err);
+    await failRenderJob({ jobId, isPaidJob, customerId }, err);
+  }
+}
+
+// Motion stats for a downloaded video, or null if they couldn't be measured
+// (the video is then treated as moving: a broken check mustn't fail renders)
+async function checkMotion(jobId, videoPath) {
+  try {
+    const motion = await measureMotion({ inputPath: videoPath, runFfmpeg, ...MOTION_THRESHOLDS });
+    console.log(`🏃 Motion: jobId=${jobId} peak=${motion.peakPct}% mean=${motion.meanPct}% (${motion.movingSamples}/${motion.samples} moving)`);
+    return motion;
+  } catch (err) {
+    console.error(`⚠️ Motion check failed for jobId=${jobId}:`, err.message.slice(0, 500));
+    return null;
+  }
+}
+
+// If this is a paid job that failed, cancel the payment;
+// a free render gets its credit back
+async function failRenderJob({ jobId, isPaidJob, customerId }, err) {
+  if (isPaidJob) {
+    await handleJobCompletion(jobId, false);
+  } else {
+    refundFreeCredit(customerId, jobId);
+  }
+
+  updateRenderJob(jobId, "failed", {
+    message: "Animation failed",
+    error: {
+      message: err.message || "Unexpected error while rendering.",
+      code: err.code ?? null,
+      details: err.details ?? null
+    }
+  });
+}
+
+// ---- PREVIEW IMAGES (poster + thumbnail sprite) ----
+
+// Poster JPEG and thumbnail sprite for a local video (made in workDir, then
+// stored next to it). Missing previews never fail a render: whatever couldn't
+// be made is left out of the result.
+// Returns { posterUrl, sprite: { url, columns, rows, intervalSec, tileWidth } }
+async function renderPreviewImages(videoPath, workDir) {
+  const videoFilename = path.basename(videoPath);
+  const { poster, sprite } = previewFilenames(videoFilename);
+  const previews = {};
+
+  try {
+    await runFfmpeg(posterArgs(videoPath, path.join(workDir, poster)));
+    await storeOutput(path.join(workDir, poster));
+    previews.posterUrl = `/api/download/${poster}?disposition=inline`;
+  } catch (err) {
+    console.error(`⚠️ Poster failed for ${videoFilename}:`, err.message.slice(0, 500));
+  }
+
+  try {
+    await runFfmpeg(spriteArgs(videoPath, path.join(workDir, sprite)));
+    await storeOutput(path.join(workDir, sprite));
+    previews.sprite = { url: `/api/download/${sprite}?disposition=inline`, ...SPRITE_LAYOUT };
+  } catch (err) {
+    console.error(`⚠️ Thumbnail sprite failed for ${videoFilename}:`, err.message.slice(0, 500));
+  }
+
+  return previews;
+}
+
+// ---- EXPORTS (GIF / WebP / boomerang) ----
+
+// jobId -> export run in progress; later requests queue behind it and only
+// render what is still missing
+const exportsInProgress = new Map();
+
+// Render the missing renditions of a finished video. A failed format is
+// logged and left out. Returns { format: { url, downloadUrl, contentType } }.
+async function renderExports(videoFilename, formats, existing = {}) {
+  const exports = { ...existing };
+  const missing = formats.filter((format) => !exports[format]);
+  if (!missing.length) return exports;
+
+  await withWorkDir(async (workDir) => {
+    const inputPath = await localStoredPath(outputStorageKey(videoFilename), workDir);
+
+    for (const format of missing) {
+      const filename = exportFilename(videoFilename, format);
+      try {
+        console.log(`🎨 Exporting ${format}: ${filename}`);
+        await runFfmpeg(exportArgs(format, inputPath, path.join(workDir, filename)));
+        await storeOutput(path.join(workDir, filename));
+        exports[format] = {
+          url: `/api/download/${filename}?disposition=inline`,
+          downloadUrl: `/api/download/${filename}`,
+          contentType: EXPORT_FORMATS[format].contentType
+        };
+      } catch (err) {
+        console.error(`⚠️ Export ${format} failed for ${videoFilename}:`, err.message.slice(0, 500));
+      }
+    }
+  });
+
+  return exports;
+}
+
+function exportRenderJob(jobId, formats) {
+  const previous = exportsInProgress.get(jobId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(async () => {
+    const { result } = getRenderJob(jobId);
+    const exports = await renderExports(outputFilenameFromUrl(result.videoUrl), formats, result.exports);
+    return updateRenderJob(jobId, "done", { result: { ...result, exports } });
+  });
+
+  exportsInProgress.set(jobId, run);
+  run.finally(() => {
+    if (exportsInProgress.get(jobId) === run) exportsInProgress.delete(jobId);
+  }).catch(() => {});
+  return run;
+}
+
+app.post("/jobs/:jobId/exports", async (req, res) => {
+  const job = customerRenderJob(req.params.jobId, getCustomerId(req, res));
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.stage !== "done" || !job.result?.videoUrl) {
+    return res.status(409).json({ error: "The animation isn't finished yet.", stage: job.stage });
+  }
+
+  const requested = Array.isArray(req.body?.formats) ? req.body.formats : [];
+  const formats = [...new Set(requested.map((f) => String(f).toLowerCase()))];
+  const unknown = formats.filter((f) => !EXPORT_FORMATS[f]);
+
+  if (!formats.length || unknown.length) {
+    return res.status(400).json({
+      error: `formats must list one or more of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      unknown
+    });
+  }
+
+  try {
+    const updated = await exportRenderJob(job.jobId, formats);
+    const exports = updated.result.exports || {};
+    const failed = formats.filter((f) => !exports[f]);
+
+    res.status(failed.length ? 500 : 200).json({
+      jobId: job.jobId,
+      exports: signResultUrls(job.jobId, exports),
+      ...(failed.length && { error: `Could not create: ${failed.join(", ")}` })
+    });
+  } catch (err) {
+    console.error(`💥 Export failed: jobId=${job.jobId}`, err);
+    res.status(500).json({ error: err.message || "Export failed" });
+  }
+});
+
+// ---- PHOTO UPLOADS ----
+
+const UPLOAD_MAX_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 15) * 1024 * 1024;
+
+// Multipart parsing only where a file is expected; temp files are removed
+// once the response is sent
+const parseUploadForm = formData.parse({ autoClean: true, maxFilesSize: UPLOAD_MAX_BYTES, maxFields: 10 });
+
+// Each upload is stored as
+//   <uploadId>.jpg          : fitted to a Kling frame, what gets animated
+//   <uploadId>-source.jpg   : upright and unpadded, what photo prep works from
+//   <uploadId>-prepared.jpg : photo prep result, fitted (see PHOTO PREP)
+const UPLOAD_VARIANTS = ["", "source", "prepared"];
+
+function uploadStorageKey(uploadId, variant = "") {
+  return storageKey("uploads", `${uploadId}${variant ? `-${variant}` : ""}.jpg`);
+}
+
+// First bytes of a file: enough for every header inspectImage reads. A JPEG
+// can carry more than one chunk of metadata before its size (SOF), so reading
+// goes on a segment at a time until that is in.
+async function readFileHead(filePath, chunk = 64 * 1024) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    let head = Buffer.alloc(0);
+    let wanted = chunk;
+
+    while (head.length < Math.min(wanted, size)) {
+      const length = Math.min(wanted, size) - head.length;
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, head.length);
+      if (!bytesRead) break;
+      head = Buffer.concat([head, buffer.subarray(0, bytesRead)]);
+
+      const needed = jpegBytesNeeded(head);
+      if (!needed) break;
+      wanted = needed + chunk;
+    }
+    return head;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Check, normalize and store a photo; returns the upload record.
+// Throws ImageError when the photo can't be used.
+async function createUpload(filePath, customerId) {
+  const { size } = await fs.promises.stat(filePath);
+  const info = inspectImage(await readFileHead(filePath));
+  const shown = displaySize(info);
+  checkDimensions(shown);
+
+  const aspectRatio = closestAspectRatio(shown);
+  const uploadId = `upload-${crypto.randomBytes(12).toString("hex")}`;
+
+  await withWorkDir(async (workDir) => {
+    const sourcePath = path.join(workDir, "source.jpg");
+    const fittedPath = path.join(workDir, "fitted.jpg");
+    try {
+      await runFfmpeg(uprightArgs(filePath, sourcePath, { orientation: info.orientation }));
+      await runFfmpeg(fitArgs(sourcePath, fittedPath, { aspectRatio }));
+    } catch (err) {
+      console.error(`⚠️ Could not normalize ${info.type} upload:`, err.message.slice(0, 500));
+      throw new ImageError("unreadable", "This image looks damaged, please try another photo.");
+    }
+    await storage.put(uploadStorageKey(uploadId, "source"), sourcePath, { contentType: "image/jpeg" });
+    await storage.put(uploadStorageKey(uploadId), fittedPath, { contentType: "image/jpeg" });
+  });
+
+  const { width, height } = KLING_FRAMES[aspectRatio];
+  return db.insertUpload({ uploadId, customerId, original: { ...info, bytes: size }, width, height, aspectRatio });
+}
+
+// Upload record if it exists and was sent by this customer, otherwise null
+function customerUpload(uploadId, customerId) {
+  const upload = typeof uploadId === "string" ? db.getUpload(uploadId) : null;
+  return upload && upload.customerId === customerId ? upload : null;
+}
+
+// Base64 JPEG of an upload sent by this customer (the prepared version once
+// accepted), or null (unknown id, someone else's upload, or already cleaned up)
+async function readUpload(uploadId, customerId) {
+  const upload = customerUpload(uploadId, customerId);
+  if (!upload) return null;
+
+  const variant = upload.prep?.status === "accepted" ? "prepared" : "";
+  try {
+    const buffer = await streamToBuffer(await storage.read(uploadStorageKey(upload.uploadId, variant)));
+    return buffer.toString("base64");
+  } catch (err) {
+    console.warn(`⚠️ Upload ${upload.uploadId} unreadable:`, err.message);
+    return null;
+  }
+}
+
+// Older pages send the photo as base64; sniff its type instead of
+// assuming JPEG. Throws ImageError if it isn't an image we know.
+function base64ImageMimeType(imageBase64) {
+  const head = Buffer.from(imageBase64.slice(0, 88 * 1024).replace(/=+$/, ""), "base64");
+  return `image/${inspectImage(head).type}`;
+}
+
+app.post("/uploads", (req, res, next) => {
+  parseUploadForm(req, res, (err) => {
+    if (!err) return next();
+
+    const tooLarge = /maxFilesSize/.test(err.message);
+    const language = requestLanguage(req);
+    console.warn("⚠️ Upload rejected:", err.message);
+    res.status(tooLarge ? 413 : 400).json(
+      tooLarge
+        ? { error: t(language, "errors.upload_too_large", { maxMb: UPLOAD_MAX_BYTES / 1024 / 1024 }), code: "too_large" }
+        : { error: t(language, "errors.bad_upload"), code: "bad_request" }
+    );
+  });
+}, async (req, res) => {
+  const customerId = getCustomerId(req, res);
+  const language = requestLanguage(req);
+  const photo = [req.files?.photo].flat()[0];
+
+  if (!photo?.path) {
+    return res.status(400).json({ error: t(language, "errors.no_photo"), code: "no_photo" });
+  }
+
+  try {
+    const upload = await createUpload(photo.path, customerId);
+    const { original } = upload;
+    console.log(
+      `🖼️ Upload ${upload.uploadId}: ${original.type} ${original.width}x${original.height}` +
+      ` (orientation ${original.orientation}) -> ${upload.aspectRatio}`
+    );
+
+    res.status(201).json({
+      uploadId: upload.uploadId,
+      width: upload.width,
+      height: upload.height,
+      aspectRatio: upload.aspectRatio,
+      original: { type: original.type, width: original.width, height: original.height }
+    });
+  } catch (err) {
+    if (err instanceof ImageError) {
+      return res.status(400).json(localizedError(language, err));
+    }
+    console.error("💥 Upload failed:", err);
+    res.status(500).json({ error: t(language, "errors.upload_failed") });
+  }
+});
+
+// ---- PHOTO PREP (old prints: crop border, straighten, restore) ----
+//
+// POST /uploads/:uploadId/prepare { crop, straighten, denoise, normalize }
+//   -> { prep, beforeUrl, afterUrl }; runs again with new options at any time
+// POST /uploads/:uploadId/prepare/accept | skip : animate the prepared photo,
+//   or keep the original (the default until accepted)
+// GET /uploads/:uploadId/image?variant=original|prepared : the fitted photos
+//   for the before / after preview
+// See lib/photo-prep.js for what each step does.
+
+// uploadId -> prep in progress, so a double click doesn't run it twice
+const prepsInProgress = new Map();
+
+async function prepareUpload(upload, options) {
+  return withWorkDir(async (workDir) => {
+    const sourcePath = await localStoredPath(uploadStorageKey(upload.uploadId, "source"), workDir);
+    const source = inspectImage(await readFileHead(sourcePath));
+    const plan = await planPrep({
+      inputPath: sourcePath,
+      width: source.width,
+      height: source.height,
+      options,
+      runFfmpeg
+    });
+
+    const size = preparedSize(source, plan);
+    const aspectRatio = closestAspectRatio(size);
+    const outPath = path.join(workDir, "prepared.jpg");
+    await runFfmpeg(prepArgs(sourcePath, outPath, plan, aspectRatio));
+    await storage.put(uploadStorageKey(upload.uploadId, "prepared"), outPath, { contentType: "image/jpeg" });
+
+    const prep = {
+      options,
+      border: plan.border?.kind || null,
+      angleDeg: Math.round((plan.angle * 1800) / Math.PI) / 10,
+      crop: plan.crop,
+      denoise: plan.denoise,
+      normalize: plan.normalize,
+      aspectRatio,
+      preparedAt: Date.now()
+    };
+    db.setUploadPrep(upload.uploadId, prep);
+    return { ...prep, status: "ready" };
+  });
+}
+
+function prepResponse(uploadId, prep) {
+  const base = `/uploads/${uploadId}/image`;
+  return {
+    uploadId,
+    prep,
+    beforeUrl: `${base}?variant=original`,
+    afterUrl: `${base}?variant=prepared&v=${prep.preparedAt}`
+  };
+}
+
+app.post("/uploads/:uploadId/prepare", async (req, res) => {
+  const language = requestLanguage(req);
+  const upload = customerUpload(req.params.uploadId, getCustomerId(req, res));
+  if (!upload) {
+    return res.status(404).json({ error: t(language, "errors.upload_not_found"), code: "upload_not_found" });
+  }
+
+  // Steps not sent keep their default
+  const options = Object.fromEntries(
+    Object.entries(PREP_DEFAULTS).map(([step, fallback]) => [
+      step,
+      typeof req.body?.[step] === "boolean" ? req.body[step] : fallback
+    ])
+  );
+
+  const key = `${upload.uploadId}:${JSON.stringify(options)}`;
+  if (!prepsInProgress.has(key)) {
+    prepsInProgress.set(key, prepareUpload(upload, options).finally(() => prepsInProgress.delete(key)));
+  }
+
+  try {
+    const prep = await prepsInProgress.get(key);
+    console.log(
+      `🧽 Prepared ${upload.uploadId}: border=${prep.border || "none"} angle=${prep.angleDeg}°` +
+      ` crop=${prep.crop ? "yes" : "no"} denoise=${prep.denoise} normalize=${prep.normalize}`
+    );
+    res.json(prepResponse(upload.uploadId, prep));
+  } catch (err) {
+    console.error(`💥 Photo prep failed for ${upload.uploadId}:`, err.message.slice(0, 500));
+    res.status(500).json({ error: t(language, "errors.prep_failed") });
+  }
+});
+
+app.post("/uploads/:uploadId/prepare/:decision", (req, res) => {
+  const status = { accept: "accepted", skip: "skipped" }[req.params.decision];
+  if (!status) {
+    return res.status(404).json({ error: "Unknown decision (expected accept or skip)" });
+  }
+
+  const language = requestLanguage(req);
+  const upload = customerUpload(req.params.uploadId, getCustomerId(req, res));
+  if (!upload) {
+    return res.status(404).json({ error: t(language, "errors.upload_not_found"), code: "upload_not_found" });
+  }
+  if (!db.setUploadPrepStatus(upload.uploadId, status)) {
+    return res.status(409).json({ error: t(language, "errors.prep_not_ready") });
+  }
+
+  console.log(`🧽 Prep ${status}: ${upload.uploadId}`);
+  res.json({ uploadId: upload.uploadId, status });
+});
+
+app.get("/uploads/:uploadId/image", async (req, res) => {
+  const upload = customerUpload(req.params.uploadId, getCustomerId(req, res));
+  const variant = req.query.variant === "prepared" ? "prepared" : "";
+  if (!upload || (variant && !upload.prep)) {
+    return res.status(404).send("Not found");
+  }
+
+  try {
+    await sendStoredFile(req, res, uploadStorageKey(upload.uploadId, variant), {
+      "Content-Type": "image/jpeg",
+      "Cache-Control": "private, no-cache",
+      "X-Robots-Tag": "noindex"
+    });
+  } catch (err) {
+    console.error(`Upload image error for ${upload.uploadId}:`, err.message);
+    if (!res.headersSent) res.status(500).send("Could not load the photo");
+  }
+});
+
+// ==============================================================================
+// CONTENT POLICY — consent and content checks before a photo goes to Kling
+// ==============================================================================
+//
+// The rights attestation is checked first: without it nothing is spent and a
+// paid hold stays in place, so the customer can confirm and try again. The
+// prompt and image checks run once the credit is spent, so only a render
+// someone is entitled to reaches the (billed) classifier; a refused render
+// gets its free credit back or its hold released. The classifier fails
+// closed: if it can't decide, the render doesn't start.
+
+const POLICY_CLASSIFIER = process.env.POLICY_CLASSIFIER || (VIDEO_PROVIDER === "mock" ? "stub" : "gemini");
+const policyClassifier = createClassifier(POLICY_CLASSIFIER, { apiKey: GEMINI_API_KEY });
+console.log(`🛡️ Policy classifier: ${policyClassifier.label}`);
+
+// HTTP status and code a render request gets for each way of being refused
+const POLICY_REFUSALS = {
+  attestation: { status: 400, code: "consent_required" },
+  prompt: { status: 422, code: "prompt_blocked" },
+  image: { status: 422, code: "content_blocked" },
+  error: { status: 503, code: "policy_unavailable" }
+};
+
+// Records a policy decision against jobId and logs it
+function recordPolicyDecision({ jobId, customerId, attested, decision }) {
+  db.recordPolicyDecision({
+    jobId,
+    customerId,
+    ...decision,
+    classifier: decision.stage === "image" ? policyClassifier.name : null,
+    attested
+  });
+  const icon = decision.outcome === "allowed" ? "✅" : "⛔";
+  console.log(
+    `${icon} Policy ${decision.outcome} at ${decision.stage}: jobId=${jobId}` +
+      `${decision.categories.length ? ` [${decision.categories.join(", ")}]` : ""}${decision.reason ? ` (${decision.reason})` : ""}`
+  );
+  return decision;
+}
+
+// Stage 1, before anything is spent or sent anywhere: null when attested,
+// otherwise the recorded refusal
+function missingAttestation({ jobId, customerId, attested }) {
+  if (attested) return null;
+  const decision = { outcome: "blocked", stage: "attestation", categories: [], reason: "No rights attestation" };
+  return recordPolicyDecision({ jobId, customerId, attested, decision });
+}
+
+// Stages 2 and 3 for a render whose credit is spent, recorded against jobId.
+// texts are the description as written and as sent (English); dataUrl is the
+// photo, prompt the final Kling prompt.
+// -> { outcome: "allowed" | "blocked" | "error", stage, categories, reason }
+async function runPolicyGate({ jobId, customerId, texts, dataUrl, prompt }) {
+  let decision;
+  const checks = texts.map(checkPrompt);
+  const blocked = [...new Set(checks.flatMap((check) => check.blocked))];
+  const flagged = [...new Set(checks.flatMap((check) => check.flagged))];
+
+  if (blocked.length) {
+    decision = { outcome: "blocked", stage: "prompt", categories: blocked, reason: "Description asks for disallowed content" };
+  } else {
+    try {
+      const [, mimeType, imageBase64] = dataUrl.match(/^data:([^;,]+);base64,(.*)$/s) || [];
+      const verdict = await policyClassifier.classify({ imageBase64, mimeType, prompt, flagged });
+      decision = {
+        outcome: verdict.allowed ? "allowed" : "blocked",
+        stage: "image",
+        categories: verdict.categories,
+        reason: verdict.reason ?? (flagged.length ? `Description flagged for ${flagged.join(", ")}` : null)
+      };
+    } catch (err) {
+      decision = { outcome: "error", stage: "image", categories: [], reason: err.message };
+    }
+  }
+
+  return recordPolicyDecision({ jobId, customerId, attested: true, decision });
+}
+
+// { error, code, categories, jobId } with the status for a refused render
+function sendPolicyRefusal(res, language, decision, jobId) {
+  const refusal = POLICY_REFUSALS[decision.outcome === "error" ? "error" : decision.stage];
+  return res.status(refusal.status).json({
+    error: t(language, `errors.policy.${refusal.code}`),
+    code: refusal.code,
+    categories: decision.categories,
+    jobId
+  });
+}
+
+// ---- AI ROUTES ----
+
+app.post("/animate_photo", rateLimit("animate", { skip: isCheckoutRender }), async (req, res) => {
   console.log('➡️  /animate_photo called');
 
   // Extract jobId for payment tracking (if this is a paid animation)
-  const jobId = req.body.jobId || null;
+  const jobId = req.body?.jobId || null;
   const isPaidJob = !!jobId;
+  const customerId = getCustomerId(req, res);
+  const language = requestLanguage(req);
+  // Free renders are watermarked: with the profile asked for, or the live one
+  const watermarkProfile = isPaidJob ? null : (req.body?.watermarkProfile ?? LIVE_WATERMARK_PROFILE);
   
   if (isPaidJob) {
     console.log(`💰 Paid animation job: ${jobId}`);
+
+    // Only the customer who checked out may render (or, by failing, release
+    // the hold of) a paid job; the jobId alone is in the success URL
+    if (db.getCheckout(jobId)?.customerId !== customerId) {
+      console.warn(`🚫 Paid jobId=${jobId} is not a checkout of customer=${customerId}`);
+      return res.status(402).json({ error: t(language, "errors.payment_not_found"), code: "payment_required" });
+    }
+
+    // Client retried or reconnected: hand back the render already running
+    const existing = getRenderJob(jobId);
+    if (existing) {
+      console.log(`🔁 Render job already exists: jobId=${jobId}, stage=${existing.stage}`);
+      return res.status(202).json(renderJobLinks(existing));
+    }
+  } else {
+    if (typeof watermarkProfile !== "string" || !Object.hasOwn(watermarkConfig.profiles, watermarkProfile)) {
+      console.warn(`⚠️ Unknown watermark profile: ${watermarkProfile}`);
+      return res.status(400).json({ error: "Unknown watermark profile", code: "unknown_watermark_profile" });
+    }
+
+    const welcome = grantWelcomeCredits(req, customerId);
+    if (!welcome.allowed) return sendRateLimited(req, res, welcome);
+
+    const problem = renderCapacityProblem(customerId);
+    if (problem) {
+      console.warn(`🚦 Render not started (${problem}): customer=${customerId}`);
+      res.set("Retry-After", String(RENDER_BUSY_RETRY_SEC));
+      return res.status(429).json({ error: t(language, `errors.${problem}`), code: problem, retryAfter: RENDER_BUSY_RETRY_SEC });
+    }
   }
 
+  // Free jobs get their own id so they can be tracked the same way
+  const renderJobId = jobId || newJobId();
+  let spend = null;
+
   try {
-    if (!AIML_API_KEY) {
+    if (videoProvider.name === "kling" && !AIML_API_KEY) {
       console.error('❌ AIML_API_KEY missing');
       
       // If this is a paid job that failed, cancel the payment
@@ -615,271 +2355,289 @@ app.post("/animate_photo", async (req, res) => {
         await handleJobCompletion(jobId, false);
       }
       
-      return res.status(500).json({ error: 'Kling API key missing.' });
+      return res.status(500).json({ error: t(language, "errors.service_unavailable"), code: "service_unavailable" });
     }
 
-    const { imageBase64, prompt, hideWatermark } = req.body || {};
+    const { uploadId, imageBase64, prompt, motions, consent } = req.body || {};
 
-    if (!imageBase64) {
-      console.error("❌ No imageBase64 in request body");
+    const unattested = missingAttestation({ jobId: renderJobId, customerId, attested: consent === true });
+    if (unattested) {
+      return sendPolicyRefusal(res, language, unattested, renderJobId);
+    }
+
+    if (!uploadId && !imageBase64) {
+      console.error("❌ No uploadId in request body");
       
       if (isPaidJob) {
         await handleJobCompletion(jobId, false);
       }
       
-      return res.status(400).json({ error: "No image data provided (imageBase64 missing)" });
+      return res.status(400).json({ error: t(language, "errors.no_photo"), code: "no_photo" });
     }
 
-    if (!prompt) {
-      console.error("❌ No prompt in request body");
-      
+    // The description and the chosen motion presets (lib/prompt-composer.js)
+    let spec;
+    try {
+      spec = promptSpec({ description: prompt, motions });
+    } catch (err) {
+      if (!(err instanceof PromptError)) throw err;
       if (isPaidJob) {
         await handleJobCompletion(jobId, false);
       }
-      
-      return res.status(400).json({ error: "No prompt provided for animation" });
+      return res.status(400).json(localizedError(language, err));
     }
 
-    // Use imageBase64 directly as the image payload for Kling
-    // Prepend data URL prefix if not already present
-    const base64Image = imageBase64.startsWith("data:")
-      ? imageBase64
-      : `data:image/jpeg;base64,${imageBase64}`;
-
-    // Apply motion booster (allows mouth movement, bans speech/lip-sync)
-    const finalPrompt = enforceVisibleMotionNoSpeech(prompt);
-    console.log('🎬 finalPrompt:', finalPrompt);
-
-    const url = 'https://api.aimlapi.com/v2/generate/video/kling/generation';
-
-    console.log('🔁 Creating Kling job with model kling-video/v2.1/standard/image-to-video');
-
-    const createResp = await fetch(url, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${AIML_API_KEY}`,
-        'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-        // Basic-access image-to-video model
-        model: 'kling-video/v2.1/standard/image-to-video',
-        image_url: base64Image, // base64 data URL from the frontend
-          prompt: finalPrompt,  // Motion-boosted prompt
-          type: 'image-to-video',
-        duration: '5', // docs use a string
-      }),
-    });
-
-    if (!createResp.ok) {
-      const errText = await createResp.text();
-      console.error('❌ Kling create error:', createResp.status, errText);
+    if (!spec.description && !spec.motions.length) {
+      console.error("❌ No prompt or motions in request body");
       
       if (isPaidJob) {
         await handleJobCompletion(jobId, false);
       }
       
-      return res.status(500).json({
-        error: 'Failed to create Kling generation job.',
-        details: errText,
-      });
+      return res.status(400).json({ error: t(language, "errors.no_prompt"), code: "no_prompt" });
     }
 
-    const job = await createResp.json();
-    console.log('✅ Kling create response:', JSON.stringify(job, null, 2));
-
-    // Try to grab a video URL directly if it's already available
-    let providerVideoUrl =
-      job.video?.url ||
-      job.video_url ||
-      job.output?.[0]?.url ||
-      job.result?.video_url ||
-      job.result?.output?.[0]?.url;
-
-    // If not available directly, poll for it
-    if (!providerVideoUrl) {
-      const generationId = job.generation_id || job.id || job.task_id;
+    // The normalized upload (or an older page's base64) is sent to Kling as a data URL
+    let base64Image;
+    if (uploadId) {
+      const uploadBase64 = await readUpload(uploadId, customerId);
+      if (!uploadBase64) {
+        console.error(`❌ Upload not found: ${uploadId}`);
 
-      if (!generationId) {
-        console.error('❌ No generation_id / id / task_id in Kling response');
-        
         if (isPaidJob) {
           await handleJobCompletion(jobId, false);
         }
-        
-        return res.status(500).json({
-          error: 'Kling did not return a video URL or generation ID.',
-          details: job,
-        });
-      }
-
-      console.log('⏳ Polling Kling status for id:', generationId);
-
-      const maxWaitMs = 5 * 60 * 1000; // 5 minutes
-      const intervalMs = 10_000;
-      const start = Date.now();
-
-      while (Date.now() - start < maxWaitMs) {
-        await new Promise((r) => setTimeout(r, intervalMs));
-
-        const statusResp = await fetch(
-          `${url}?generation_id=${encodeURIComponent(generationId)}`,
-          {
-            method: 'GET',
-            headers: {
-              Authorization: `Bearer ${AIML_API_KEY}`,
-              'Accept': 'application/json',
-            },
-          }
-        );
-
-        if (!statusResp.ok) {
-          const errText = await statusResp.text();
-          console.error('❌ Kling status error:', statusResp.status, errText);
-          
-          if (isPaidJob) {
-            await handleJobCompletion(jobId, false);
-          }
-          
-      return res.status(500).json({
-            error: 'Error checking Kling job status.',
-            details: errText,
-          });
-        }
-
-        const statusData = await statusResp.json();
-        console.log('🔎 Kling status:', statusData.status || statusData);
-
-        const status = statusData.status || statusData.state;
-
-        // See if we got a video URL on a later check
-        const pollUrl =
-          statusData.video?.url ||
-          statusData.video_url ||
-          statusData.output?.[0]?.url ||
-          statusData.result?.video_url ||
-          statusData.result?.output?.[0]?.url;
-
-        if ((status === 'completed' || status === 'succeeded') && pollUrl) {
-          console.log('🎉 Kling job completed');
-          providerVideoUrl = pollUrl;
-          break;
-        }
 
-        if (status === 'failed' || status === 'error') {
-          console.error('❌ Kling job failed:', JSON.stringify(statusData, null, 2));
-          
-          if (isPaidJob) {
-            await handleJobCompletion(jobId, false);
-          }
-          
-          return res.status(500).json({
-            error: 'Kling generation failed.',
-            details: statusData,
-          });
-        }
+        return res.status(404).json({ error: t(language, "errors.upload_not_found"), code: "upload_not_found" });
       }
-
-      if (!providerVideoUrl) {
-        console.error('❌ Timed out waiting for Kling video');
-        
+      base64Image = `data:image/jpeg;base64,${uploadBase64}`;
+    } else if (imageBase64.startsWith("data:")) {
+      base64Image = imageBase64;
+    } else {
+      try {
+        base64Image = `data:${base64ImageMimeType(imageBase64)};base64,${imageBase64}`;
+      } catch (err) {
         if (isPaidJob) {
           await handleJobCompletion(jobId, false);
         }
-        
-        return res.status(500).json({
-          error: 'Timed out waiting for Kling video.',
-        });
+        return res.status(400).json(localizedError(language, err));
       }
     }
 
-    // Now we have providerVideoUrl - download and optionally watermark it
-    console.log('📥 Downloading video from provider...');
-
-    const publicDir = path.join(process.cwd(), "public");
-    const outDir = path.join(publicDir, "outputs");
-    ensureDir(outDir);
-
-    const id = `anim-${Date.now()}`;
-    const rawPath = path.join(outDir, `${id}-raw.mp4`);
-    const wmPath = path.join(outDir, `${id}-wm.mp4`);
+    // Spend a credit before starting - the kind spent decides the watermark
+    if (isPaidJob && !(await ensurePaidCredit(jobId))) {
+      console.warn(`⚠️ No paid credit for jobId=${jobId}`);
+      return res.status(402).json({ error: t(language, "errors.payment_not_found"), code: "payment_required" });
+    }
 
-    // Download provider MP4 to disk
-    await downloadToFile(providerVideoUrl, rawPath);
-    console.log('✅ Video downloaded to:', rawPath);
+    spend = isPaidJob
+      ? db.consumeCredit({ customerId, kind: "paid", jobId })
+      : db.consumeCredit({ customerId, kind: "free", jobId: renderJobId });
 
-    // Decide watermark:
-    // - Dev Free / first free: watermark ON by default (hideWatermark = false/undefined)
-    // - Paid: hideWatermark = true => watermark OFF
-    let finalPath = rawPath;
-    let wasWatermarked = false;
+    if (spend.reason === "not_owner") {
+      console.warn(`🚫 Paid credit for jobId=${jobId} belongs to another customer: customer=${customerId}`);
+      return res.status(402).json({ error: t(language, "errors.payment_not_found"), code: "payment_required" });
+    }
+    if (!spend.ok) {
+      console.log(`🚫 No ${isPaidJob ? "paid" : "free"} credit left: customer=${customerId}`);
+      return res.status(402).json({
+        error: t(language, isPaidJob ? "errors.payment_used" : "errors.free_used"),
+        code: "payment_required"
+      });
+    }
 
-    if (!hideWatermark) {
-      try {
-        console.log('🔖 Baking SeeAgain logo watermark into video...');
-        await bakeLogoWatermark({ inputPath: rawPath, outputPath: wmPath });
-        console.log('✅ Watermarked video saved to:', wmPath);
-        finalPath = wmPath;
-        wasWatermarked = true;
-
-        // Clean up raw file
-        fs.promises.unlink(rawPath).catch(() => {});
-      } catch (err) {
-        console.error("⚠️ Watermark failed, returning raw video:", err.message);
-        finalPath = rawPath;
-        wasWatermarked = false;
+    // Kling gets English whatever language the page is in
+    if (language !== DEFAULT_LANGUAGE && spec.description) {
+      const english = await englishDescription(spec.description, language);
+      if (english !== spec.description) {
+        spec = { ...spec, description: english, language, originalDescription: spec.description };
       }
-    } else {
-      console.log('💎 Paid animation - no watermark');
     }
 
-    // SUCCESS! If this is a paid job, capture the payment
-    if (isPaidJob) {
-      console.log(`✅ Animation succeeded for paid job: ${jobId}`);
-      await handleJobCompletion(jobId, true);
+    // Description + motion presets + constraints (no speech, no camera move)
+    const finalPrompt = composePrompt(spec);
+    console.log(`🎬 finalPrompt (v${spec.version}):`, finalPrompt);
+
+    const policy = await runPolicyGate({
+      jobId: renderJobId,
+      customerId,
+      texts: [spec.originalDescription, spec.description],
+      dataUrl: base64Image,
+      prompt: finalPrompt
+    });
+    if (policy.outcome !== "allowed") {
+      if (isPaidJob) {
+        await handleJobCompletion(jobId, false);
+      } else {
+        refundFreeCredit(customerId, renderJobId);
+      }
+      return sendPolicyRefusal(res, language, policy, renderJobId);
     }
 
-    const finalFilename = path.basename(finalPath);
-    return res.json({
-      ok: true,
-      videoUrl: `/outputs/${finalFilename}`,
-      downloadUrl: `/api/download/${finalFilename}`,
-      watermarked: wasWatermarked,
-      jobId: jobId
+    const renderJob = createRenderJob(renderJobId, {
+      isPaidJob,
+      customerId: spend.customerId || customerId,
+      prompt: finalPrompt,
+      promptSpec: spec,
+      hideWatermark: isPaidJob,
+      watermarkProfile
     });
 
+    res.status(202).json(renderJobLinks(renderJob));
+
+    // Keep rendering after the response is sent
+    runRenderJob({
+      jobId: renderJob.jobId,
+      isPaidJob,
+      customerId: renderJob.customerId,
+      base64Image,
+      finalPrompt,
+      hideWatermark: renderJob.hideWatermark
+    }).catch((err) => console.error(`💥 Render job could not be finished: jobId=${renderJob.jobId}`, err));
+
   } catch (err) {
     console.error('💥 Error in /animate_photo:', err);
     
     // If this is a paid job that failed, cancel the payment
     if (isPaidJob) {
       await handleJobCompletion(jobId, false);
+    } else if (spend?.ok && !getRenderJob(renderJobId)) {
+      refundFreeCredit(customerId, renderJobId);
     }
     
-    res.status(500).json({ error: err.message || 'Unexpected error in /animate_photo.' });
+    res.status(500).json({ error: t(language, "errors.unexpected") });
+  }
+});
+
+// ---- CUSTOMER CREDITS (free / paid renders left) ----
+app.get("/api/entitlements", (req, res) => {
+  const customerId = getCustomerId(req, res);
+  grantWelcomeCredits(req, customerId);
+  res.setHeader("Cache-Control", "no-store");
+  res.json(getEntitlements(customerId));
+});
+
+// ---- RENDER JOB STATUS ----
+app.get("/jobs/:jobId", (req, res) => {
+  const job = customerRenderJob(req.params.jobId, getCustomerId(req, res));
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+  res.json(serializeRenderJob(job));
+});
+
+// ---- RENDER JOB LIVE PROGRESS (Server-Sent Events) ----
+// Sends the current state immediately, so a reconnecting client catches up
+// without missing anything; the stream closes once the job is done or failed.
+app.get("/jobs/:jobId/events", (req, res) => {
+  const { jobId } = req.params;
+  const job = customerRenderJob(jobId, getCustomerId(req, res));
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // don't let proxies buffer the stream
+  res.flushHeaders();
+
+  let closed = false;
+  let heartbeat = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    renderJobEvents.off(jobId, send);
+    res.end();
+  };
+
+  function send(payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    if (payload.finished) close();
   }
+
+  // Ask the browser to wait 5s before reconnecting after a drop
+  res.write("retry: 5000\n\n");
+  send(serializeRenderJob(job));
+  if (closed) return;
+
+  renderJobEvents.on(jobId, send);
+  heartbeat = setInterval(() => res.write(": keep-alive\n\n"), SSE_HEARTBEAT_MS);
+  req.on("close", close);
 });
 
 // ==============================================================================
 // MANUAL JOB COMPLETION ENDPOINT (for external render pipelines if needed)
 // ==============================================================================
+//
+// Captures or releases a customer's card hold, so callers must sign every
+// request with their own key (see lib/request-signing.js). Every call -
+// accepted or rejected - is written to the completion_audit table.
+
+const JOB_COMPLETION_KEYS = parseSigningKeys(process.env.JOB_COMPLETION_KEYS);
+
+if (!JOB_COMPLETION_KEYS.size) {
+  console.warn('⚠️ No JOB_COMPLETION_KEYS - POST /jobs/:jobId/complete is disabled');
+}
+
+function auditCompletion(req, entry) {
+  const record = { ...entry, ip: req.ip };
+  db.recordCompletionAudit(record);
+
+  const icon = entry.outcome === "accepted" ? "📨" : "🚫";
+  console.log(
+    `${icon} Job completion ${entry.outcome}: jobId=${entry.jobId}, key=${entry.keyId || "none"}, ` +
+    `status=${entry.status || "none"}${entry.reason ? `, reason=${entry.reason}` : ""}`
+  );
+}
 
 app.post("/jobs/:jobId/complete", async (req, res) => {
   const { jobId } = req.params;
   const { status } = req.body || {};
-  
-  if (!jobId) {
-    return res.status(400).json({ error: "Missing jobId" });
+  const audit = { jobId, status: typeof status === "string" ? status : null };
+
+  if (!JOB_COMPLETION_KEYS.size) {
+    auditCompletion(req, { ...audit, outcome: "rejected", reason: "disabled" });
+    return res.status(503).json({ error: "Job completion API is not configured" });
+  }
+
+  const auth = verifySignedRequest({
+    headers: req.headers,
+    method: req.method,
+    path: req.originalUrl,
+    rawBody: req.rawBody,
+    keys: JOB_COMPLETION_KEYS
+  });
+
+  if (!auth.ok) {
+    auditCompletion(req, { ...audit, keyId: auth.keyId, outcome: "rejected", reason: auth.reason });
+    return res.status(401).json({ error: "Invalid request signature" });
+  }
+
+  // Same signed request twice = replay
+  if (!db.claimNonce(auth.keyId, auth.nonce)) {
+    auditCompletion(req, { ...audit, keyId: auth.keyId, outcome: "rejected", reason: "replayed_nonce" });
+    return res.status(401).json({ error: "Request already used" });
   }
   
   if (status !== "success" && status !== "failed") {
+    auditCompletion(req, { ...audit, keyId: auth.keyId, outcome: "rejected", reason: "invalid_status" });
     return res.status(400).json({ error: "Status must be 'success' or 'failed'" });
   }
   
-  console.log(`📨 Job completion API called: jobId=${jobId}, status=${status}`);
-  
   await handleJobCompletion(jobId, status === "success");
   
   const record = getPayment(jobId);
+
+  auditCompletion(req, {
+    ...audit,
+    keyId: auth.keyId,
+    outcome: "accepted",
+    reason: `payment ${record?.status || "unknown"}`
+  });
   
   res.json({
     ok: true,
@@ -888,71 +2646,277 @@ app.post("/jobs/:jobId/complete", async (req, res) => {
   });
 });
 
-// ==================================================
-// SUGGESTED PROMPTS (ONE SENTENCE, HUMAN, SIMPLE)
-// ==================================================
+// ==============================================================================
+// OPS API — signed requests from operator tooling
+// ==============================================================================
+//
+// Same signature scheme as the job completion endpoint, with its own keys.
+// scripts/replay-webhook-event.js and scripts/reconcile-payments.js are the
+// clients.
 
-function buildSuggestedPromptsSimple(context = "general") {
-  const sets = {
-    couple: [
-      "The couple blink softly as their smiles subtly shift.",
-      "Both partners take a gentle breath and make a slight, natural head adjustment.",
-      "One partner's expression relaxes while the other blinks naturally."
-    ],
+const OPS_SIGNING_KEYS = parseSigningKeys(process.env.OPS_SIGNING_KEYS);
 
-    parentBaby: [
-      "The baby's fingers make a tiny natural movement while the adult remains calm.",
-      "The adult gently blinks while holding the baby securely.",
-      "The baby shifts slightly as the adult's expression softens."
-    ],
+const WEBHOOK_EVENT_STATUSES = ["processing", "processed", "failed"];
 
-    friends: [
-      "The two friends blink naturally and make a small, relaxed posture adjustment.",
-      "One friend subtly shifts their shoulders while both maintain easy smiles.",
-      "Both friends take a gentle breath and slightly adjust their expressions."
-    ],
+function requireOpsSignature(req, res, next) {
+  if (!OPS_SIGNING_KEYS.size) {
+    return res.status(503).json({ error: "Ops API is not configured" });
+  }
 
-    portrait: [
-      "The person blinks twice and their expression softens slightly.",
-      "A gentle breath causes a tiny, natural head movement.",
-      "The person's eyes briefly shift focus before returning to stillness."
-    ],
+  const auth = verifySignedRequest({
+    headers: req.headers,
+    method: req.method,
+    path: req.originalUrl,
+    rawBody: req.rawBody,
+    keys: OPS_SIGNING_KEYS
+  });
+
+  if (!auth.ok || !db.claimNonce(auth.keyId, auth.nonce)) {
+    console.log(`🚫 Ops request rejected: ${req.method} ${req.originalUrl}, reason=${auth.reason || "replayed_nonce"}`);
+    return res.status(401).json({ error: "Invalid request signature" });
+  }
+
+  req.opsKeyId = auth.keyId;
+  next();
+}
+
+// List stored webhook events, newest first (?status=failed&limit=50)
+app.get("/ops/webhook-events", requireOpsSignature, (req, res) => {
+  const status = WEBHOOK_EVENT_STATUSES.includes(req.query.status) ? req.query.status : null;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+
+  res.json({ events: db.listWebhookEvents({ status, limit }) });
+});
+
+// Run a stored event through the webhook handler again
+app.post("/ops/webhook-events/:eventId/replay", requireOpsSignature, async (req, res) => {
+  const { eventId } = req.params;
+  const result = await replayWebhookEvent(eventId);
+
+  if (!result) {
+    return res.status(404).json({ error: "Event not found" });
+  }
+
+  console.log(`🔁 Replay by key=${req.opsKeyId}: ${eventId} -> ${result.event.status}`);
+
+  const { payload, ...event } = result.event;
+  res.status(result.ok ? 200 : 500).json({ ok: result.ok, error: result.error, event });
+});
+
+// Compare non-terminal payments with Stripe now (see RECONCILIATION)
+app.post("/ops/reconcile", requireOpsSignature, async (req, res) => {
+  console.log(`🔄 Reconciliation requested by key=${req.opsKeyId}`);
+  try {
+    const run = await reconcilePayments();
+    res.status(run.skipped ? 409 : 200).json(run);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/ops/reconciliation-runs", requireOpsSignature, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 200);
+  res.json({ runs: db.listReconciliationRuns(limit) });
+});
+
+// ==============================================================================
+// ADMIN — inspect and repair payment records
+// ==============================================================================
+//
+// HTTP Basic auth with ADMIN_PASSWORD (any username, recorded as the actor).
+// Retries reconcile the record with Stripe first and then go through
+// capturePayment / cancelPayment, so a capture that succeeded but timed out
+// is never sent twice.
+
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+const HOUR_MS = 60 * 60 * 1000;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_PASSWORD) {
+    return res.status(503).json({ error: "Admin area is not configured" });
+  }
+
+  const [scheme, encoded] = String(req.headers.authorization || "").split(" ");
+  const decoded = scheme === "Basic" && encoded ? Buffer.from(encoded, "base64").toString("utf-8") : "";
+  const sep = decoded.indexOf(":");
+  const user = sep >= 0 ? decoded.slice(0, sep) : "";
+  const given = crypto.createHash("sha256").update(sep >= 0 ? decoded.slice(sep + 1) : "").digest();
+  const expected = crypto.createHash("sha256").update(ADMIN_PASSWORD).digest();
+
+  if (sep < 0 || !crypto.timingSafeEqual(given, expected)) {
+    res.set("WWW-Authenticate", 'Basic realm="SeeAgain admin", charset="UTF-8"');
+    return res.status(401).json({ error: "Admin login required" });
+  }
+
+  // Browsers send Basic credentials on cross-site form posts too; only
+  // accept JSON bodies (which need a CORS preflight) for actions.
+  if (req.method === "POST" && !req.is("application/json")) {
+    return res.status(415).json({ error: "Expected application/json" });
+  }
+
+  req.adminUser = user || "admin";
+  next();
+}
 
-    general: [
-      "The people blink naturally and make a subtle head movement.",
-      "A gentle breath causes a slight, relaxed posture adjustment.",
-      "Expressions soften briefly before returning to stillness."
-    ]
+const ADMIN_ACTIONS = {
+  "retry-capture": {
+    from: ["capture_failed", "render_succeeded", "authorized"],
+    async run(jobId) {
+      const { localStatus } = await reconcilePayment(getPayment(jobId));
+      if (localStatus === "captured") return { ok: true, outcome: "captured" };
+      const ok = await capturePayment(jobId);
+      return { ok, outcome: getPayment(jobId).status };
+    }
+  },
+  "retry-cancel": {
+    from: ["cancel_failed", "render_failed", "authorized"],
+    async run(jobId) {
+      const { localStatus } = await reconcilePayment(getPayment(jobId));
+      if (localStatus === "canceled") return { ok: true, outcome: "canceled" };
+      const ok = await cancelPayment(jobId);
+      return { ok, outcome: getPayment(jobId).status };
+    }
+  },
+  // Only clears the review flag: the status keeps saying where the money is
+  resolve: {
+    from: null,
+    async run(jobId) {
+      db.clearPaymentReview(jobId);
+      return { ok: true, outcome: getPayment(jobId).status };
+    }
+  }
+};
+
+function adminJobDetail(jobId) {
+  const payment = getPayment(jobId);
+  const job = getRenderJob(jobId);
+  const policyDecisions = db.policyDecisionsFor(jobId);
+  if (!payment && !job && !policyDecisions.length) return null;
+
+  return {
+    jobId,
+    payment,
+    job: job ? serializeRenderJob(job) : null,
+    paymentHistory: db.transitionsFor("payment", jobId),
+    completions: db.completionAuditFor(jobId),
+    policyDecisions,
+    adminActions: db.adminActionsFor(jobId)
   };
+}
 
-  return sets[context] || sets.general;
-}
-
-// Helper to ensure every AI-generated suggestion contains visible motion
-function ensureVisibleMotion(prompt) {
-  const lower = prompt.toLowerCase();
-
-  // Detect if the suggestion already contains visible-motion verbs
-  const hasStrongVerb =
-    lower.includes("blink") ||
-    lower.includes("blinks") ||
-    lower.includes("blinked") ||
-    lower.includes("eyes") ||
-    lower.includes("tilt") ||
-    lower.includes("nod") ||
-    lower.includes("smile") ||
-    lower.includes("grin") ||
-    lower.includes("turn") ||
-    lower.includes("head");
-
-  // If it already contains a clear visible action → leave it as-is
-  if (hasStrongVerb) return prompt;
-
-  // Otherwise, upgrade it with a guaranteed visible action
-  return (
-    prompt.trim().replace(/\.*$/, "") +
-    ". They blink clearly twice and make a tiny, natural head tilt before returning to a still pose."
-  );
+// Watermark profiles as currently on disk, and which one renders use
+app.get("/admin/api/watermarks", requireAdmin, (req, res) => {
+  try {
+    const { defaultProfile, profiles } = loadWatermarkProfiles(WATERMARK_PROFILES_FILE);
+    res.json({ live: LIVE_WATERMARK_PROFILE, defaultProfile, profiles: Object.values(profiles) });
+  } catch (err) {
+    res.status(422).json({ error: err.message, live: LIVE_WATERMARK_PROFILE });
+  }
+});
+
+// One frame of the preview video with the profile applied (JPEG)
+app.get("/admin/api/watermarks/:name/preview", requireAdmin, async (req, res) => {
+  let profile;
+  try {
+    profile = loadWatermarkProfiles(WATERMARK_PROFILES_FILE).profiles[req.params.name];
+  } catch (err) {
+    return res.status(422).json({ error: err.message });
+  }
+  if (!profile) {
+    return res.status(404).json({ error: "Watermark profile not found" });
+  }
+
+  const previewPath = path.join(os.tmpdir(), `seeagain-wm-preview-${crypto.randomBytes(6).toString("hex")}.jpg`);
+  try {
+    await bakeWatermark({ profile, inputPath: WATERMARK_PREVIEW_VIDEO, outputPath: previewPath, runFfmpeg, still: true });
+    res.set("Cache-Control", "no-store");
+    res.type("jpeg").send(await fs.promises.readFile(previewPath));
+  } catch (err) {
+    console.error(`❌ Watermark preview failed for profile=${profile.name}:`, err.message);
+    res.status(500).json({ error: "Preview render failed", details: err.message });
+  } finally {
+    fs.promises.unlink(previewPath).catch(() => {});
+  }
+});
+
+// Hits, misses and size of the Gemini suggestion cache (since the last restart)
+app.get("/admin/api/suggestion-cache", requireAdmin, (req, res) => {
+  res.json(suggestionCache.stats());
+});
+
+app.get("/admin", requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, "admin", "index.html"));
+});
+
+// ?status=capture_failed&needsReview=1&olderThanHours=2&newerThanHours=48&limit=100
+app.get("/admin/api/jobs", requireAdmin, (req, res) => {
+  const now = Date.now();
+  const olderThan = Number(req.query.olderThanHours);
+  const newerThan = Number(req.query.newerThanHours);
+
+  const jobs = db.listPayments({
+    status: req.query.status || null,
+    needsReview: req.query.needsReview === undefined ? null : req.query.needsReview === "1",
+    createdBefore: olderThan > 0 ? now - olderThan * HOUR_MS : null,
+    createdAfter: newerThan > 0 ? now - newerThan * HOUR_MS : null,
+    limit: Math.min(Math.max(Number(req.query.limit) || 100, 1), 500)
+  });
+
+  res.json({ jobs, counts: db.paymentStatusCounts() });
+});
+
+app.get("/admin/api/jobs/:jobId", requireAdmin, (req, res) => {
+  const detail = adminJobDetail(req.params.jobId);
+  if (!detail) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(detail);
+});
+
+app.post("/admin/api/jobs/:jobId/:action", requireAdmin, async (req, res) => {
+  const { jobId, action } = req.params;
+  const handler = ADMIN_ACTIONS[action];
+  if (!handler) {
+    return res.status(404).json({ error: "Unknown action" });
+  }
+
+  const record = getPayment(jobId);
+  if (!record) {
+    return res.status(404).json({ error: "Payment not found" });
+  }
+
+  if (handler.from && !handler.from.includes(record.status)) {
+    return res.status(409).json({
+      error: `Cannot ${action} a payment in status ${record.status}`,
+      paymentStatus: record.status
+    });
+  }
+
+  const note = typeof req.body?.note === "string" ? req.body.note.slice(0, 1000) : null;
+
+  let result;
+  try {
+    result = await handler.run(jobId);
+  } catch (err) {
+    console.error(`❌ Admin ${action} failed for jobId=${jobId}:`, err.message);
+    result = { ok: false, outcome: `error: ${err.message}` };
+  }
+
+  db.recordAdminAction({ jobId, action, actor: req.adminUser, note, outcome: result.outcome });
+  console.log(`🛠️ Admin ${req.adminUser}: ${action} jobId=${jobId} -> ${result.outcome}`);
+
+  res.status(result.ok ? 200 : 502).json({ ok: result.ok, ...adminJobDetail(jobId) });
+});
+
+// ==================================================
+// SUGGESTED PROMPTS (ONE SENTENCE, HUMAN, SIMPLE)
+// ==================================================
+
+// Curated suggestions per scene (the keys of SCENES in lib/prompt-composer.js)
+// from the language's catalog (locales/*.json), used whenever Gemini's
+// suggestions are missing or unusable
+function buildSuggestedPromptsSimple(context = "general", language = DEFAULT_LANGUAGE) {
+  return t(language, `suggestions.${Object.hasOwn(SCENES, context) ? context : "general"}`);
 }
 
 // Filter out "header" / meta lines the model sometimes returns
@@ -976,10 +2940,10 @@ function isJunkSuggestionLine(line) {
   return false;
 }
 
-// ---- SIMPLE GEMINI SUGGESTED PROMPTS (OLD-STYLE) ----
+// ---- GEMINI SUGGESTED PROMPTS ----
 
-// Helper to clean up Gemini output lines
-function cleanSuggestionLine(line) {
+// Helper to clean up Gemini output lines (written in language)
+function cleanSuggestionLine(line, language) {
   if (!line) return "";
 
   // Strip leading numbers / bullets like "1. ", "2) ", "- "
@@ -1011,16 +2975,7 @@ function cleanSuggestionLine(line) {
   if (match) cleaned = match[0].trim();
 
   // Block talking / speechy motions
-  const lower = cleaned.toLowerCase();
-  const speechWords = [
-    "say", "says", "said",
-    "talk", "talks", "talking",
-    "speak", "speaks", "speaking",
-    "whisper", "whispers", "whispering",
-    "sing", "sings", "singing",
-    "mouths the words", "lip sync"
-  ];
-  if (speechWords.some((w) => lower.includes(w))) {
+  if (containsSpeech(cleaned, t(language, "speechWords"))) {
     return "";
   }
 
@@ -1032,39 +2987,53 @@ function cleanSuggestionLine(line) {
   return cleaned;
 }
 
-app.post("/suggest-prompts", async (req, res) => {
-  // Very simple, "old style" fallbacks in case Gemini fails
-  const fallbackSuggestions = [
-    "The person in the photo gives a slow, full blink and a small, natural head tilt.",
-    "Their expression softens as they make a clearly visible but gentle eye movement.",
-    "The person performs a noticeable blink and a relaxed, subtle posture adjustment."
-  ];
-
-  try {
-    const { imageBase64 } = req.body || {};
-
-    if (!imageBase64) {
-      console.warn("No imageBase64 received in /suggest-prompts");
-      return res.json({ suggestions: fallbackSuggestions });
-    }
-
-    const apiKey = GEMINI_API_KEY;
-    if (!apiKey) {
-      console.error("Missing GEMINI_API_KEY in environment");
-      return res.json({ suggestions: fallbackSuggestions });
-    }
+// Gemini answers in this shape (structured output), so the scene is always
+// one of SCENES (lib/prompt-composer.js)
+const SUGGESTION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    scene: { type: "STRING", enum: Object.keys(SCENES) },
+    peopleCount: { type: "INTEGER" },
+    suggestions: { type: "ARRAY", items: { type: "STRING" } }
+  },
+  required: ["scene", "peopleCount", "suggestions"]
+};
+
+const SUGGESTIONS_PER_PAGE = 3;
+const SUGGESTIONS_PER_ASK = 6; // two pages per Gemini call
+const MAX_SUGGESTION_PAGES = 10;
+
+// Gemini's suggestions per photo and language: "<sha256 of the image>:<language>"
+// -> { scene, pool }, pool being every clean suggestion so far for that photo.
+// The same photo comes back after a checkout redirect and for "More
+// suggestions", so most of those never reach Gemini.
+const suggestionCache = createCache({
+  maxEntries: Number(process.env.SUGGESTION_CACHE_MAX) || 500,
+  ttlMs: (Number(process.env.SUGGESTION_CACHE_TTL_SEC) || 24 * 60 * 60) * 1000 // 24 hours
+});
 
-    const url =
-      "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent";
+function suggestionCacheKey(imageBase64, language) {
+  const hash = crypto.createHash("sha256").update(Buffer.from(imageBase64, "base64")).digest("hex");
+  return `${hash}:${language}`;
+}
 
-    const promptText = `
+function suggestionPrompt(language, avoid = []) {
+  return `
 You create very short animation prompts for an image-to-video model called Kling.
 
 GOAL:
 - Subtle, portrait-friendly motion that clearly reads on camera.
 
+SCENE:
+- "couple": two partners together
+- "parentBaby": an adult holding or next to a baby or toddler
+- "friends": two or more friends or siblings
+- "portrait": one person
+- "general": anything else (larger groups, people far away, ...)
+- peopleCount: how many people are clearly visible
+
 RULES:
-- Look at the image and write exactly 3 suggestions.
+- Look at the image and write exactly ${SUGGESTIONS_PER_ASK} different suggestions, in ${LANGUAGES[language]}.
 - Each suggestion must be ONE sentence only.
 - Motions must be clearly visible on video while remaining natural.
 - Use motions such as full blinks, small but noticeable head movements, gentle posture shifts, soft breathing, or clear eye direction changes.
@@ -1072,68 +3041,189 @@ RULES:
 - Do NOT describe anyone talking, singing, or mouthing words.
 - Do NOT mention "subject" or "camera" in your wording.
 - Do NOT add or invent new objects, clothes, text, or background details.
+${avoid.length ? `\nALREADY SUGGESTED (write new ones, not these):\n${avoid.map((line) => `- ${line}`).join("\n")}\n` : ""}`.trim();
+}
 
-FORMAT:
-- Return just 3 lines of text.
-- Each line is one complete animation suggestion, tailored to the specific image.
-`.trim();
+// { type, peopleCount } from Gemini's answer; without a usable scene it is
+// guessed from the people count
+function suggestionScene(answer) {
+  const count = answer?.peopleCount;
+  const peopleCount = Number.isInteger(count) && count >= 0 && count <= 100 ? count : null;
+  const type = Object.hasOwn(SCENES, answer?.scene) ? answer.scene : peopleCount === 1 ? "portrait" : "general";
+  return { type, peopleCount };
+}
 
-    const body = {
-      contents: [
-        {
-          parts: [
-            {
-              inlineData: {
-                mimeType: "image/jpeg",
-                data: imageBase64, // base64 string from the frontend
-              },
-            },
-            {
-              text: promptText,
-            },
-          ],
-        },
-      ],
-    };
+// Clean, one-line prompts from lines, without junk and repeats
+function cleanSuggestions(lines, language) {
+  const suggestions = [];
+  for (const line of lines) {
+    if (typeof line !== "string" || isJunkSuggestionLine(line)) continue;
+    const cleaned = cleanSuggestionLine(line, language);
+    if (cleaned && !suggestions.includes(cleaned)) suggestions.push(cleaned);
+  }
+  return suggestions;
+}
 
-    const resp = await fetch(`${url}?key=${apiKey}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-    });
+// Up to SUGGESTIONS_PER_PAGE prompts; the scene's curated set fills the gaps
+function completeSuggestions(lines, sceneType, language) {
+  return cleanSuggestions([...lines, ...buildSuggestedPromptsSimple(sceneType, language)], language).slice(0, SUGGESTIONS_PER_PAGE);
+}
+
+// Text of Gemini's first answer for these content parts, or null if the
+// request failed
+async function geminiGenerate(parts, generationConfig = {}) {
+  const url =
+    "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent";
+
+  const resp = await fetch(`${url}?key=${GEMINI_API_KEY}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ contents: [{ parts }], generationConfig }),
+  });
+
+  if (!resp.ok) {
+    const errorText = await resp.text();
+    console.error("Gemini error:", resp.status, errorText);
+    return null;
+  }
+
+  const data = await resp.json();
+  const answer = data?.candidates?.[0]?.content?.parts || [];
+  return answer.find((p) => typeof p.text === "string")?.text?.trim() || "";
+}
+
+// Gemini's parsed answer ({ scene, peopleCount, suggestions }), or null if
+// it failed or didn't return JSON
+async function askGeminiForSuggestions(imageBase64, mimeType, language, avoid = []) {
+  const rawText = await geminiGenerate(
+    [
+      // normalized upload (or base64 from an older page)
+      { inlineData: { mimeType, data: imageBase64 } },
+      { text: suggestionPrompt(language, avoid) }
+    ],
+    { responseMimeType: "application/json", responseSchema: SUGGESTION_SCHEMA }
+  );
+  if (rawText === null) return null;
+  console.log("Gemini raw suggestions:", rawText);
 
-    if (!resp.ok) {
-      const errorText = await resp.text();
-      console.error("Gemini error:", resp.status, errorText);
-      return res.json({ suggestions: fallbackSuggestions });
+  try {
+    return JSON.parse(rawText);
+  } catch {
+    console.warn("⚠️ Gemini suggestions were not valid JSON");
+    return null;
+  }
+}
+
+// English version of an animation description written in another language
+// (Kling follows English prompts best, and stripSpeech only knows English
+// words). The original text if Gemini can't be asked or fails.
+async function englishDescription(description, language) {
+  if (!GEMINI_API_KEY) {
+    console.warn(`⚠️ No GEMINI_API_KEY, sending the ${language} description untranslated`);
+    return description;
+  }
+
+  try {
+    const english = await geminiGenerate([
+      {
+        text:
+          `Translate this description of a photo animation from ${LANGUAGES[language]} to English. ` +
+          "If it is already English, repeat it unchanged. Reply with the translation only.\n\n" +
+          description
+      }
+    ]);
+    if (english) {
+      console.log(`🌐 Description translated from ${language}: ${english}`);
+      return english;
     }
+  } catch (err) {
+    console.error("⚠️ Description translation failed:", err.message);
+  }
+  return description;
+}
+
+// { page } -> { suggestions, scene: { type, peopleCount, detected }, page, cached }
+// Suggestions are in the customer's language (lib/i18n.js). scene.type is a
+// key of SCENES; detected is false when Gemini couldn't be asked or gave
+// nothing usable (the suggestions are then the curated set). page 0 is the
+// first three, page 1 the next three ("More suggestions"), ...; cached is
+// true when they came from suggestionCache without asking Gemini.
+app.post("/suggest-prompts", rateLimit("suggest"), async (req, res) => {
+  const language = requestLanguage(req);
+  const page = Math.min(Math.max(Math.trunc(Number(req.body?.page)) || 0, 0), MAX_SUGGESTION_PAGES - 1);
+  const curated = (scene, extra = {}) =>
+    res.json({
+      suggestions: completeSuggestions([], scene.type, language),
+      scene: { ...scene, detected: false },
+      page,
+      cached: false,
+      ...extra
+    });
+  const unknownScene = { type: "general", peopleCount: null };
 
-    const data = await resp.json();
+  try {
+    const { uploadId } = req.body || {};
+    let imageBase64 = req.body?.imageBase64;
+    let mimeType = "image/jpeg";
+
+    if (uploadId) {
+      imageBase64 = await readUpload(uploadId, getCustomerId(req, res));
+      if (!imageBase64) {
+        return res.status(404).json({ error: t(language, "errors.upload_not_found"), code: "upload_not_found" });
+      }
+    } else if (imageBase64) {
+      // Older pages: sniff the type, Gemini needs the right one
+      try {
+        mimeType = base64ImageMimeType(String(imageBase64));
+      } catch (err) {
+        if (!(err instanceof ImageError)) throw err;
+        console.warn(`⚠️ /suggest-prompts image refused: ${err.code}`);
+        return res.status(400).json(localizedError(language, err));
+      }
+    }
 
-    const parts = data?.candidates?.[0]?.content?.parts || [];
-    const textPart = parts.find((p) => typeof p.text === "string");
-    const rawText = textPart?.text?.trim() || "";
-    console.log("Gemini raw suggestions:", rawText);
+    if (!imageBase64) {
+      console.warn("No photo received in /suggest-prompts");
+      return curated(unknownScene);
+    }
 
-    // Turn Gemini output into up to 3 clean, one-line prompts
-    const rawLines = rawText.split("\n");
-    let suggestions = rawLines
-      .map(cleanSuggestionLine)
-      .filter((line) => line.length > 0)
-      .slice(0, 3);
+    const cacheKey = suggestionCacheKey(imageBase64, language);
+    const start = page * SUGGESTIONS_PER_PAGE;
+    // A hit only when this page is served without asking Gemini
+    let entry = suggestionCache.peek(cacheKey);
+    const cached = !!entry && entry.pool.length >= start + SUGGESTIONS_PER_PAGE;
+    suggestionCache.countLookup(cached);
+
+    if (!cached) {
+      if (!GEMINI_API_KEY) {
+        console.error("Missing GEMINI_API_KEY in environment");
+        return curated(unknownScene);
+      }
 
-    // If Gemini gave us nothing usable, fall back
-    if (!suggestions.length) {
-      suggestions = fallbackSuggestions;
+      const answer = await askGeminiForSuggestions(imageBase64, mimeType, language, entry?.pool || []);
+      if (answer) {
+        const lines = Array.isArray(answer.suggestions) ? answer.suggestions : [];
+        entry = {
+          scene: entry?.scene || suggestionScene(answer),
+          pool: cleanSuggestions([...(entry?.pool || []), ...lines], language)
+        };
+        suggestionCache.set(cacheKey, entry);
+      } else if (!entry) {
+        return curated(unknownScene);
+      }
     }
 
-    return res.json({ suggestions });
+    const { scene, pool } = entry;
+    const suggestions = completeSuggestions(pool.slice(start, start + SUGGESTIONS_PER_PAGE), scene.type, language);
+    console.log(
+      `💡 Suggestions (${language}): scene=${scene.type} people=${scene.peopleCount ?? "?"} ` +
+        `page=${page}${cached ? " (cached)" : ""}`
+    );
+
+    return res.json({ suggestions, scene: { ...scene, detected: true }, page, cached });
   } catch (err) {
     console.error("Error in /suggest-prompts:", err);
-    return res.json({
-      suggestions: fallbackSuggestions,
-      error: "Gemini request failed, using fallback prompts.",
-    });
+    return curated(unknownScene, { error: t(language, "errors.suggestions_failed") });
   }
 });
 
@@ -1150,10 +3240,9 @@ async function cleanupStuckAuthorizations() {
   const now = Date.now();
   let cleanedCount = 0;
   
-  for (const [jobId, record] of Object.entries(paymentsStore)) {
-    // Only process "authorized" status that hasn't been completed
-    if (record.status !== "authorized") continue;
-    
+  // Only process "authorized" status that hasn't been completed
+  for (const record of db.paymentsByStatus("authorized")) {
+    const { jobId } = record;
     const age = now - record.createdAt;
     
     if (age > AUTHORIZATION_TIMEOUT_MS) {
@@ -1181,39 +3270,172 @@ setTimeout(cleanupStuckAuthorizations, 10000);
 // Run cleanup every 30 minutes
 setInterval(cleanupStuckAuthorizations, CLEANUP_INTERVAL_MS);
 
-// ===== AUTO-CLEANUP OLD OUTPUT VIDEOS (OLDER THAN 7 DAYS) =====
+// ==============================================================================
+// RECONCILIATION — local payment records vs Stripe PaymentIntents
+// ==============================================================================
+
+const RECONCILE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+// Records touched more recently belong to the live capture / cancel flow
+const RECONCILE_MIN_AGE_MS = 10 * 60 * 1000; // 10 minutes
+
+let reconciliationRunning = false;
+
+// Compare one record with its PaymentIntent and correct our side.
+// Returns { jobId, paymentIntentId, localStatus, stripeStatus, correctedFrom, problem }
+async function reconcilePayment(record) {
+  const result = {
+    jobId: record.jobId,
+    paymentIntentId: record.paymentIntentId,
+    localStatus: record.status,
+    stripeStatus: null,
+    correctedFrom: null,
+    problem: null
+  };
 
-// Outputs folder inside /public for static serving
-const OUTPUTS_DIR = path.join(__dirname, "public", "outputs");
-const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+  if (!record.paymentIntentId) {
+    result.problem = "no PaymentIntent recorded";
+    return result;
+  }
 
-function cleanupOldOutputs() {
+  let intent;
   try {
-    if (!fs.existsSync(OUTPUTS_DIR)) {
-      fs.mkdirSync(OUTPUTS_DIR, { recursive: true });
-      return;
+    intent = await stripe.paymentIntents.retrieve(record.paymentIntentId);
+  } catch (err) {
+    if (err.code !== "resource_missing") throw err;
+    result.problem = "PaymentIntent not found in Stripe";
+    flagJobForReview(record.jobId, "reconcile: PaymentIntent not found in Stripe");
+    return result;
+  }
+
+  result.stripeStatus = intent.status;
+
+  if (intent.status === "succeeded" && record.status !== "captured") {
+    markJobStatus(record.jobId, "captured");
+    result.correctedFrom = record.status;
+    result.localStatus = "captured";
+    // We meant to release this hold, but the customer was charged
+    if (record.status === "render_failed" || record.status === "cancel_failed") {
+      result.problem = "charged for a failed render";
+      flagJobForReview(record.jobId, `reconcile: captured in Stripe while ${record.status}`);
+    }
+  } else if (intent.status === "canceled" && record.status !== "canceled") {
+    markJobStatus(record.jobId, "canceled");
+    revokeUnspentPaidCredit(record.jobId, "hold_released");
+    result.correctedFrom = record.status;
+    result.localStatus = "canceled";
+    if (wasVideoDelivered(record.jobId)) {
+      result.problem = "hold canceled after the video was delivered";
+      flagJobForReview(record.jobId, `reconcile: canceled in Stripe while ${record.status}`);
+    }
+  } else if (intent.status === "requires_capture" && record.status !== "authorized") {
+    // The render is over but its capture / cancel never reached Stripe, so
+    // the hold is still on the card: settle it the way the render ended
+    const capture = record.status === "render_succeeded" || record.status === "capture_failed";
+    const settled = capture ? await capturePayment(record.jobId) : await cancelPayment(record.jobId);
+    if (settled) {
+      result.correctedFrom = record.status;
+      result.localStatus = getPayment(record.jobId).status;
+    } else {
+      result.localStatus = getPayment(record.jobId).status;
+      result.problem = `hold still open, ${capture ? "capture" : "cancel"} retry failed`;
+      flagJobForReview(record.jobId, `reconcile: hold still open while ${record.status}`);
     }
+  } else if (intent.status !== "requires_capture" && intent.status !== "succeeded" && intent.status !== "canceled") {
+    // requires_payment_method, processing, ... : there is no hold behind this record
+    result.problem = `PaymentIntent is ${intent.status}, not authorized`;
+    flagJobForReview(record.jobId, `reconcile: PaymentIntent is ${intent.status}`);
+  }
 
-    const now = Date.now();
-    const files = fs.readdirSync(OUTPUTS_DIR);
+  if (result.correctedFrom) {
+    console.log(`🔄 Reconciled jobId=${record.jobId}: ${result.correctedFrom} -> ${result.localStatus} (Stripe: ${intent.status})`);
+  }
+  return result;
+}
 
-    for (const file of files) {
-      const filePath = path.join(OUTPUTS_DIR, file);
+async function reconcilePayments() {
+  if (reconciliationRunning) {
+    return { skipped: true, reason: "already running" };
+  }
+  reconciliationRunning = true;
 
-      let stats;
-      try {
-        stats = fs.statSync(filePath);
-      } catch {
-        continue;
+  const startedAt = Date.now();
+  const mismatches = [];
+  let checked = 0;
+  let corrected = 0;
+
+  try {
+    console.log("🔄 Reconciling payments with Stripe...");
+
+    for (const status of OPEN_PAYMENT_STATUSES) {
+      for (const record of db.paymentsByStatus(status)) {
+        if (startedAt - record.updatedAt < RECONCILE_MIN_AGE_MS) continue;
+        checked++;
+
+        let result;
+        try {
+          result = await reconcilePayment(record);
+        } catch (err) {
+          console.error(`❌ Reconcile failed for jobId=${record.jobId}:`, err.message);
+          mismatches.push({ jobId: record.jobId, localStatus: record.status, problem: `lookup failed: ${err.message}` });
+          continue;
+        }
+
+        if (result.correctedFrom) corrected++;
+        if (result.correctedFrom || result.problem) mismatches.push(result);
+      }
+    }
+
+    const run = { startedAt, finishedAt: Date.now(), checked, corrected, mismatches };
+    db.recordReconciliationRun(run);
+
+    if (mismatches.length) {
+      console.warn(`⚠️ Reconciliation: ${checked} checked, ${corrected} corrected, ${mismatches.length} mismatches`);
+      for (const m of mismatches) {
+        console.warn(`   jobId=${m.jobId} local=${m.correctedFrom || m.localStatus} stripe=${m.stripeStatus || "?"}${m.problem ? ` — ${m.problem}` : ""}`);
       }
+    } else {
+      console.log(`🔄 Reconciliation: ${checked} checked, all match Stripe`);
+    }
+
+    return run;
+  } finally {
+    reconciliationRunning = false;
+  }
+}
+
+setTimeout(() => reconcilePayments().catch((err) => console.error("❌ Reconciliation failed:", err.message)), 60000);
+setInterval(() => reconcilePayments().catch((err) => console.error("❌ Reconciliation failed:", err.message)), RECONCILE_INTERVAL_MS);
 
-      if (!stats.isFile()) continue;
+// ===== AUTO-CLEANUP OLD OUTPUTS AND UPLOADS (OLDER THAN 7 DAYS) =====
 
-      const age = now - stats.mtimeMs;
-      if (age > ONE_WEEK_MS) {
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+async function cleanupOldOutputs() {
+  try {
+    const now = Date.now();
+    const objects = await storage.list("outputs");
+
+    // A render's video, poster, sprite and exports share its "anim-<ts>"
+    // prefix and are deleted together, once the newest of them is a week old
+    const groups = new Map();
+
+    for (const { key, lastModified } of objects) {
+      const file = path.basename(key);
+      const groupKey = /^(anim-\d+)-/.exec(file)?.[1] || file;
+      const group = groups.get(groupKey) || { keys: [], newestMtimeMs: 0 };
+      group.keys.push(key);
+      group.newestMtimeMs = Math.max(group.newestMtimeMs, lastModified);
+      groups.set(groupKey, group);
+    }
+
+    for (const group of groups.values()) {
+      const age = now - group.newestMtimeMs;
+      if (age <= ONE_WEEK_MS) continue;
+
+      for (const key of group.keys) {
         try {
-          fs.unlinkSync(filePath);
-          console.log("🧹 Deleted old output:", file);
+          await storage.delete(key);
+          console.log("🧹 Deleted old output:", key);
         } catch {}
       }
     }
@@ -1222,11 +3444,86 @@ function cleanupOldOutputs() {
   }
 }
 
+// Uploads are only needed until the animation is made; stored files without
+// a database row (upload failed halfway) go too
+async function cleanupOldUploads() {
+  try {
+    const cutoff = Date.now() - ONE_WEEK_MS;
+    const expired = db
+      .deleteUploadsBefore(cutoff)
+      .flatMap((uploadId) => UPLOAD_VARIANTS.map((variant) => uploadStorageKey(uploadId, variant)));
+    const orphaned = (await storage.list("uploads"))
+      .filter(({ key, lastModified }) => lastModified < cutoff && !expired.includes(key))
+      .map(({ key }) => key);
+
+    for (const key of [...expired, ...orphaned]) {
+      try {
+        await storage.delete(key);
+      } catch {}
+    }
+    if (expired.length || orphaned.length) {
+      console.log(`🧹 Deleted ${expired.length + orphaned.length} old uploads`);
+    }
+  } catch (err) {
+    console.warn("Upload cleanup skipped:", err?.message || err);
+  }
+}
+
 // Run cleanup once at startup
 cleanupOldOutputs();
+cleanupOldUploads();
 
 // Run cleanup every 12 hours
-setInterval(cleanupOldOutputs, 12 * 60 * 60 * 1000);
+setInterval(() => {
+  cleanupOldOutputs();
+  cleanupOldUploads();
+}, 12 * 60 * 60 * 1000);
+
+// ===== FORGET NONCES OLDER THAN THE SIGNATURE WINDOW =====
+
+// A request older than the tolerance fails the timestamp check anyway,
+// so its nonce no longer needs to be remembered
+function purgeExpiredNonces() {
+  db.purgeNoncesBefore(Date.now() - 2 * SIGNATURE_TOLERANCE_SEC * 1000);
+}
+
+// Run cleanup every hour
+setInterval(purgeExpiredNonces, 60 * 60 * 1000);
+
+// ===== RENDER JOBS INTERRUPTED BY A RESTART =====
+
+// The render loop lives in this process, so anything unfinished at startup
+// died with the previous one. Jobs whose provider generation had started are
+// polled again and finished (download, watermark, capture / cancel).
+// Anything interrupted earlier has no generation to go back to: failRenderJob
+// marks it failed so clients stop waiting and releases the paid hold
+// (handleJobCompletion) or refunds the free credit.
+function resumeInterruptedRenderJobs() {
+  for (const job of db.unfinishedJobs()) {
+    const { jobId, isPaidJob, customerId, generation } = job;
+
+    if (generation && generation.provider === videoProvider.name) {
+      console.log(`♻️ Resuming render job after restart: jobId=${jobId}, generation=${generation.generationId}`);
+      updateRenderJob(jobId, job.stage, { message: "Resuming after a server restart" });
+      runRenderJob({
+        jobId,
+        isPaidJob,
+        customerId,
+        finalPrompt: job.prompt,
+        hideWatermark: job.hideWatermark,
+        resume: generation
+      }).catch((err) => console.error(`💥 Resumed render job could not be finished: jobId=${jobId}`, err));
+      continue;
+    }
+
+    console.log(`⚠️ Render job interrupted by restart: jobId=${jobId}, stage=${job.stage}`);
+    failRenderJob(job, new Error("The server restarted while this animation was rendering.")).catch((err) =>
+      console.error(`💥 Could not fail interrupted render job: jobId=${jobId}`, err)
+    );
+  }
+}
+
+resumeInterruptedRenderJobs();
 
 // ---- SERVER LISTENER ----
 const PORT = process.env.PORT || 3000;
@@ -0,0 +1,95 @@
+// POST /animate_photo with the jobId of a paid checkout: only the customer who
+// checked out may use it, or skip the rate limit with it. The server runs as a
+// child process with its own database; Stripe is never reached because every
+// request here is refused before a hold would be captured or released.
+//   npm test
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { openDatabase } from "../lib/db.js";
+import { freePort, startServer, stopServer } from "./support/server.js";
+
+const OWNER = "a".repeat(32);
+const OTHER = "b".repeat(32);
+const JOB_ID = "job-ownership-test";
+const ANIMATE_LIMIT = 5;
+
+describe("paid /animate_photo from another customer", () => {
+  let workDir;
+  let dbPath;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "seeagain-test-"));
+    dbPath = path.join(workDir, "seeagain.db");
+    const db = openDatabase(dbPath);
+    db.recordCheckout(JOB_ID, "cs_test_ownership", OWNER);
+    db.grantJobCredit({ customerId: OWNER, kind: "paid", reason: "checkout", jobId: JOB_ID });
+    db.insertPayment(JOB_ID, { paymentIntentId: "pi_test_ownership", status: "authorized", createdAt: Date.now() });
+    db.close();
+
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = await startServer({
+      PORT: String(port),
+      DATABASE_PATH: dbPath,
+      STORAGE_DIR: path.join(workDir, "storage"),
+      STRIPE_SECRET_KEY: "sk_test_123",
+      AIML_API_KEY: "test",
+      VIDEO_PROVIDER: "mock",
+      RATE_LIMIT_ANIMATE: `ip=${ANIMATE_LIMIT}/1h`
+    });
+  });
+
+  after(async () => {
+    await stopServer(server);
+    if (workDir) await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  function animate(customerId, body) {
+    return fetch(`${baseUrl}/animate_photo`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Cookie: `sa_customer=${customerId}` },
+      body: JSON.stringify(body)
+    });
+  }
+
+  function readDb(fn) {
+    const db = openDatabase(dbPath);
+    try {
+      return fn(db);
+    } finally {
+      db.close();
+    }
+  }
+
+  it("refuses a request that would otherwise release the owner's hold", async () => {
+    // A missing upload fails the render, which for the owner cancels the hold
+    const res = await animate(OTHER, { jobId: JOB_ID, consent: true, uploadId: "upload-missing" });
+    assert.equal(res.status, 402);
+    assert.equal((await res.json()).code, "payment_required");
+
+    readDb((db) => {
+      assert.equal(db.getPayment(JOB_ID).status, "authorized");
+      assert.equal(db.jobCreditBalance(JOB_ID, "paid"), 1);
+    });
+  });
+
+  it("records nothing for a jobId nobody checked out", async () => {
+    const res = await animate(OTHER, { jobId: "job-unknown", consent: true });
+    assert.equal(res.status, 402);
+    readDb((db) => assert.equal(db.getPayment("job-unknown"), null));
+  });
+
+  it("counts against the rate limit like any other render", async () => {
+    const statuses = [];
+    for (let i = 0; i < ANIMATE_LIMIT; i++) {
+      statuses.push((await animate(OTHER, { jobId: JOB_ID, consent: true, uploadId: "upload-missing" })).status);
+    }
+    assert.ok(statuses.includes(429), `never limited: ${statuses}`);
+  });
+});
@@ -0,0 +1,188 @@
+// lib/prompt-composer.js: motion lists, the speech check, the composed Kling
+// prompt, the stronger re-render spec and the constraints version.
+//   npm test
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import {
+  CONSTRAINTS,
+  DEFAULT_MOTIONS,
+  MOTION_PRESETS,
+  PromptError,
+  TARGETS,
+  composePrompt,
+  containsSpeech,
+  motionSentence,
+  normalizeMotions,
+  promptSpec,
+  strongerSpec
+} from "../lib/prompt-composer.js";
+
+// Everything that ends up in a prompt, per CONSTRAINTS.version. Changing the
+// wording fails the version test below until the version is bumped and its
+// fingerprint added here.
+const WORDING_FINGERPRINTS = {
+  2: "b6e19aa93a787bb0c13303bae3bfdf34ceb7b5637c817a9e0ddd761004d7f5c4"
+};
+
+function wordingFingerprint() {
+  const wording = { rules: CONSTRAINTS.rules, presets: MOTION_PRESETS, targets: TARGETS, defaults: DEFAULT_MOTIONS };
+  return crypto.createHash("sha256").update(JSON.stringify(wording)).digest("hex");
+}
+
+function promptErrorCode(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof PromptError, `expected a PromptError, got ${err}`);
+    return err.code;
+  }
+  assert.fail("expected a PromptError");
+}
+
+describe("normalizeMotions", () => {
+  it("treats a missing list as no motions", () => {
+    assert.deepEqual(normalizeMotions(undefined), []);
+    assert.deepEqual(normalizeMotions(null), []);
+  });
+
+  it("fills in intensity and target, for preset names too", () => {
+    assert.deepEqual(normalizeMotions(["blink", { preset: "smile", intensity: "strong" }]), [
+      { preset: "blink", intensity: "natural", target: "all" },
+      { preset: "smile", intensity: "strong", target: "all" }
+    ]);
+  });
+
+  it("keeps the first of each preset and target", () => {
+    const motions = normalizeMotions([
+      { preset: "smile", target: "left" },
+      { preset: "smile", target: "left", intensity: "strong" },
+      { preset: "smile", target: "right" }
+    ]);
+    assert.deepEqual(motions, [
+      { preset: "smile", intensity: "natural", target: "left" },
+      { preset: "smile", intensity: "natural", target: "right" }
+    ]);
+  });
+
+  it("refuses anything unknown", () => {
+    assert.equal(promptErrorCode(() => normalizeMotions("blink")), "invalid_motions");
+    assert.equal(promptErrorCode(() => normalizeMotions(["dance"])), "unknown_preset");
+    assert.equal(promptErrorCode(() => normalizeMotions([{ preset: "blink", intensity: "wild" }])), "unknown_intensity");
+    assert.equal(promptErrorCode(() => normalizeMotions([{ preset: "blink", target: "dog" }])), "unknown_target");
+    assert.equal(promptErrorCode(() => normalizeMotions([{ preset: "toString" }])), "unknown_preset");
+  });
+
+  it("refuses more than eight motions", () => {
+    const list = Object.keys(MOTION_PRESETS).flatMap((preset) => [
+      { preset, target: "left" },
+      { preset, target: "right" }
+    ]);
+    assert.equal(promptErrorCode(() => normalizeMotions(list)), "too_many_motions");
+  });
+});
+
+describe("containsSpeech", () => {
+  it("knows the English words", () => {
+    assert.ok(containsSpeech("They whisper to each other"));
+    assert.ok(!containsSpeech("They smile at each other"));
+  });
+
+  it("takes the words of another language as whole words", () => {
+    const german = ["flüstert", "spricht"];
+    assert.ok(containsSpeech("Sie flüstert ihm etwas zu.", german));
+    assert.ok(containsSpeech("Er SPRICHT leise.", german));
+    assert.ok(!containsSpeech("Sie lächelt.", german));
+    assert.ok(!containsSpeech("Er widerspricht nicht.", german));
+  });
+});
+
+describe("composePrompt", () => {
+  it("puts the description, the motions and then the constraints", () => {
+    const motions = normalizeMotions([{ preset: "smile", target: "left" }]);
+    const prompt = composePrompt({ description: "They sit on a bench", motions });
+
+    assert.equal(
+      prompt,
+      ["They sit on a bench.", motionSentence(motions[0]), ...CONSTRAINTS.rules].join(" ")
+    );
+    assert.match(prompt, /The person on the left smiles softly/);
+  });
+
+  it("takes speech words out of the description", () => {
+    const prompt = composePrompt({ description: "she smiles and says hello" });
+    assert.ok(prompt.startsWith("she smiles and hello."), prompt);
+  });
+
+  it("adds the default motions when nothing would move", () => {
+    const prompt = composePrompt({ description: "a nostalgic moment" });
+    for (const motion of DEFAULT_MOTIONS) {
+      assert.ok(prompt.includes(motionSentence(motion)), `missing ${motion.preset}`);
+    }
+  });
+
+  it("trusts a description that already moves", () => {
+    const prompt = composePrompt({ description: "he nods and waves" });
+    for (const motion of DEFAULT_MOTIONS) {
+      assert.ok(!prompt.includes(motionSentence(motion)), `unexpected ${motion.preset}`);
+    }
+  });
+
+  it("gives the same prompt again from a stored spec", () => {
+    const spec = promptSpec({ description: "  a quiet afternoon ", motions: ["blink", "hair_breeze"] });
+    const stored = JSON.parse(JSON.stringify(spec));
+    assert.equal(composePrompt(stored), composePrompt(spec));
+  });
+});
+
+describe("strongerSpec", () => {
+  it("moves every motion up one step", () => {
+    const spec = promptSpec({
+      motions: [
+        { preset: "blink", intensity: "subtle" },
+        { preset: "smile", intensity: "natural" },
+        { preset: "head_turn", intensity: "strong" }
+      ]
+    });
+    assert.deepEqual(
+      strongerSpec(spec).motions.map((motion) => motion.intensity),
+      ["natural", "strong", "strong"]
+    );
+  });
+
+  it("keeps the description and version", () => {
+    const spec = promptSpec({ description: "they laugh", motions: ["blink"] });
+    const stronger = strongerSpec(spec);
+    assert.equal(stronger.description, spec.description);
+    assert.equal(stronger.version, spec.version);
+  });
+
+  it("uses the default motions, one step up, when none were chosen", () => {
+    const stronger = strongerSpec(promptSpec({ description: "a nostalgic moment" }));
+    assert.deepEqual(
+      stronger.motions.map(({ preset, target }) => ({ preset, target })),
+      DEFAULT_MOTIONS.map(({ preset, target }) => ({ preset, target }))
+    );
+    assert.ok(stronger.motions.every((motion, i) => motion.intensity !== DEFAULT_MOTIONS[i].intensity));
+  });
+
+  it("is null when everything is already strong", () => {
+    const spec = promptSpec({ motions: [{ preset: "blink", intensity: "strong" }, { preset: "smile", intensity: "strong" }] });
+    assert.equal(strongerSpec(spec), null);
+  });
+});
+
+describe("CONSTRAINTS.version", () => {
+  it("is stored with every spec", () => {
+    assert.equal(promptSpec({ description: "she blinks" }).version, CONSTRAINTS.version);
+  });
+
+  it("is bumped whenever the wording changes", () => {
+    assert.equal(
+      wordingFingerprint(),
+      WORDING_FINGERPRINTS[CONSTRAINTS.version],
+      `Prompt wording changed: bump CONSTRAINTS.version and add ${wordingFingerprint()} to WORDING_FINGERPRINTS`
+    );
+  });
+});
@@ -0,0 +1,223 @@
+// Payment reconciliation (POST /ops/reconcile): one open payment record per
+// case, each against a PaymentIntent whose status is fixed by a fake Stripe
+// API served from this file. The server runs as a child process with its own
+// database and STRIPE_API_BASE pointing at the fake.
+//   npm test
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { openDatabase } from "../lib/db.js";
+import { signRequest } from "../lib/request-signing.js";
+import { freePort, startServer, stopServer } from "./support/server.js";
+
+const OPS_KEY = { keyId: "test", secret: "reconcile-test-secret" };
+const AN_HOUR_AGO = Date.now() - 60 * 60 * 1000;
+
+// jobId -> our record and its PaymentIntent in Stripe
+const CASES = {
+  "job-succeeded": { local: "capture_failed", stripe: "succeeded" },
+  "job-canceled": { local: "render_failed", stripe: "canceled" },
+  "job-hold-open-rendered": { local: "render_succeeded", stripe: "requires_capture" },
+  "job-hold-open-failed": { local: "cancel_failed", stripe: "requires_capture" },
+  "job-hold-open-refused": { local: "capture_failed", stripe: "requires_capture", refuseCapture: true },
+  "job-in-progress": { local: "authorized", stripe: "requires_capture" },
+  "job-never-paid": { local: "authorized", stripe: "requires_payment_method" },
+  "job-missing": { local: "render_succeeded", stripe: null }
+};
+
+const intentId = (jobId) => `pi_${jobId.replaceAll("-", "_")}`;
+
+// Just enough of /v1/payment_intents for retrieve, capture and cancel
+function startFakeStripe() {
+  const intents = new Map();
+  const calls = [];
+  for (const [jobId, c] of Object.entries(CASES)) {
+    if (c.stripe) intents.set(intentId(jobId), { ...c, status: c.stripe });
+  }
+
+  const server = http.createServer((req, res) => {
+    req.resume();
+    const [, , , id, action] = req.url.split("?")[0].split("/"); // /v1/payment_intents/:id[/:action]
+    const intent = intents.get(id);
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (action) calls.push(`${action} ${id}`);
+    if (!intent) {
+      return send(404, { error: { type: "invalid_request_error", code: "resource_missing", message: `No such payment_intent: '${id}'` } });
+    }
+    if (action === "capture" && intent.refuseCapture) {
+      return send(400, { error: { type: "invalid_request_error", code: "payment_intent_unexpected_state", message: "refused" } });
+    }
+    if (action === "capture") intent.status = "succeeded";
+    if (action === "cancel") intent.status = "canceled";
+    send(200, { id, object: "payment_intent", status: intent.status, capture_method: "manual" });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, () => resolve({ server, calls, port: server.address().port }));
+  });
+}
+
+describe("reconciliation", () => {
+  let workDir;
+  let dbPath;
+  let server;
+  let stripe;
+  let baseUrl;
+  let run;
+
+  before(async () => {
+    stripe = await startFakeStripe();
+
+    // Old enough to be reconciled
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "seeagain-test-"));
+    dbPath = path.join(workDir, "seeagain.db");
+    const db = openDatabase(dbPath);
+    for (const [jobId, c] of Object.entries(CASES)) {
+      db.insertPayment(jobId, { paymentIntentId: intentId(jobId), status: c.local, createdAt: AN_HOUR_AGO });
+    }
+    db.close();
+
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = await startServer({
+      PORT: String(port),
+      DATABASE_PATH: dbPath,
+      STORAGE_DIR: path.join(workDir, "storage"),
+      STRIPE_SECRET_KEY: "sk_test_123",
+      STRIPE_API_BASE: `http://localhost:${stripe.port}`,
+      OPS_SIGNING_KEYS: `${OPS_KEY.keyId}:${OPS_KEY.secret}`,
+      VIDEO_PROVIDER: "mock"
+    });
+  });
+
+  after(async () => {
+    await stopServer(server);
+    await new Promise((resolve) => stripe?.server.close(resolve));
+    if (workDir) await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function signedFetch(method, requestPath) {
+    const res = await fetch(`${baseUrl}${requestPath}`, {
+      method,
+      headers: signRequest({ ...OPS_KEY, method, path: requestPath })
+    });
+    return { res, body: await res.json() };
+  }
+
+  function mismatch(jobId) {
+    const { localStatus, stripeStatus, correctedFrom, problem } = run.mismatches.find((m) => m.jobId === jobId) ?? {};
+    return { localStatus, stripeStatus, correctedFrom, problem };
+  }
+
+  it("checks every open record", async () => {
+    const { res, body } = await signedFetch("POST", "/ops/reconcile");
+    assert.equal(res.status, 200);
+    run = body;
+    assert.equal(run.checked, Object.keys(CASES).length);
+    assert.equal(run.corrected, 4);
+  });
+
+  it("takes a succeeded PaymentIntent as captured", () => {
+    assert.deepEqual(mismatch("job-succeeded"), {
+      localStatus: "captured",
+      stripeStatus: "succeeded",
+      correctedFrom: "capture_failed",
+      problem: null
+    });
+  });
+
+  it("takes a canceled PaymentIntent as canceled", () => {
+    assert.deepEqual(mismatch("job-canceled"), {
+      localStatus: "canceled",
+      stripeStatus: "canceled",
+      correctedFrom: "render_failed",
+      problem: null
+    });
+  });
+
+  it("captures or releases a hold left open after the render ended", () => {
+    assert.deepEqual(mismatch("job-hold-open-rendered"), {
+      localStatus: "captured",
+      stripeStatus: "requires_capture",
+      correctedFrom: "render_succeeded",
+      problem: null
+    });
+    assert.deepEqual(mismatch("job-hold-open-failed"), {
+      localStatus: "canceled",
+      stripeStatus: "requires_capture",
+      correctedFrom: "cancel_failed",
+      problem: null
+    });
+    assert.ok(stripe.calls.includes(`capture ${intentId("job-hold-open-rendered")}`));
+    assert.ok(stripe.calls.includes(`cancel ${intentId("job-hold-open-failed")}`));
+  });
+
+  it("flags an open hold it can't settle", () => {
+    assert.deepEqual(mismatch("job-hold-open-refused"), {
+      localStatus: "capture_failed",
+      stripeStatus: "requires_capture",
+      correctedFrom: null,
+      problem: "hold still open, capture retry failed"
+    });
+  });
+
+  it("leaves a hold that is still waiting for its render", () => {
+    assert.equal(run.mismatches.find((m) => m.jobId === "job-in-progress"), undefined);
+    assert.ok(!stripe.calls.some((call) => call.endsWith(intentId("job-in-progress"))));
+  });
+
+  it("flags a PaymentIntent that was never authorized", () => {
+    assert.deepEqual(mismatch("job-never-paid"), {
+      localStatus: "authorized",
+      stripeStatus: "requires_payment_method",
+      correctedFrom: null,
+      problem: "PaymentIntent is requires_payment_method, not authorized"
+    });
+  });
+
+  it("flags a PaymentIntent Stripe doesn't know", () => {
+    assert.deepEqual(mismatch("job-missing"), {
+      localStatus: "render_succeeded",
+      stripeStatus: null,
+      correctedFrom: null,
+      problem: "PaymentIntent not found in Stripe"
+    });
+  });
+
+  it("stores the corrections and the flags", () => {
+    const db = openDatabase(dbPath);
+    try {
+      const statuses = Object.fromEntries(Object.keys(CASES).map((jobId) => [jobId, db.getPayment(jobId).status]));
+      assert.deepEqual(statuses, {
+        "job-succeeded": "captured",
+        "job-canceled": "canceled",
+        "job-hold-open-rendered": "captured",
+        "job-hold-open-failed": "canceled",
+        "job-hold-open-refused": "capture_failed",
+        "job-in-progress": "authorized",
+        "job-never-paid": "authorized",
+        "job-missing": "render_succeeded"
+      });
+
+      const flagged = Object.keys(CASES).filter((jobId) => db.getPayment(jobId).needsReview);
+      assert.deepEqual(flagged.sort(), ["job-hold-open-refused", "job-missing", "job-never-paid"]);
+    } finally {
+      db.close();
+    }
+  });
+
+  it("keeps the run", async () => {
+    const { res, body } = await signedFetch("GET", "/ops/reconciliation-runs");
+    assert.equal(res.status, 200);
+    assert.equal(body.runs.length, 1);
+    assert.equal(body.runs[0].checked, Object.keys(CASES).length);
+  });
+});
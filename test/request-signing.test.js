@@ -0,0 +1,109 @@
+// lib/request-signing.js: what verifySignedRequest accepts and refuses, and
+// the nonce store (db.claimNonce) that finishes its replay protection.
+//   npm test
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { openDatabase } from "../lib/db.js";
+import { SIGNATURE_TOLERANCE_SEC, parseSigningKeys, signRequest, verifySignedRequest } from "../lib/request-signing.js";
+
+const KEYS = parseSigningKeys("pipeline-a:secret-a, pipeline-b:secret-b");
+const NOW = Date.UTC(2026, 0, 1);
+const REQUEST = { method: "POST", path: "/jobs/job-1/complete", body: '{"success":true}' };
+
+// Node lowercases incoming header names
+function lowercase(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+function sign({ keyId = "pipeline-a", secret = "secret-a", timestamp = NOW / 1000, ...request } = {}) {
+  return lowercase(signRequest({ keyId, secret, timestamp, ...REQUEST, ...request }));
+}
+
+function verify(headers, request = {}) {
+  const { method, path: requestPath, body } = { ...REQUEST, ...request };
+  return verifySignedRequest({ headers, method, path: requestPath, rawBody: Buffer.from(body), keys: KEYS, now: NOW });
+}
+
+describe("parseSigningKeys", () => {
+  it("reads key id and secret pairs, skipping broken entries", () => {
+    assert.deepEqual([...parseSigningKeys("a:1, b : 2,broken,:3,c:")], [["a", "1"], ["b", "2"]]);
+  });
+});
+
+describe("verifySignedRequest", () => {
+  it("accepts a request signed with a known key", () => {
+    const headers = sign();
+    assert.deepEqual(verify(headers), {
+      ok: true,
+      keyId: "pipeline-a",
+      nonce: headers["x-seeagain-nonce"],
+      timestamp: NOW / 1000
+    });
+  });
+
+  it("refuses a request without all four headers", () => {
+    const { "x-seeagain-nonce": _nonce, ...headers } = sign();
+    assert.deepEqual(verify(headers), { ok: false, keyId: "pipeline-a", reason: "missing_headers" });
+  });
+
+  it("refuses an unknown key", () => {
+    const headers = sign({ keyId: "pipeline-x", secret: "secret-a" });
+    assert.deepEqual(verify(headers), { ok: false, keyId: "pipeline-x", reason: "unknown_key" });
+  });
+
+  it("refuses a timestamp outside the tolerance, either way", () => {
+    for (const offset of [-(SIGNATURE_TOLERANCE_SEC + 1), SIGNATURE_TOLERANCE_SEC + 1]) {
+      const headers = sign({ timestamp: NOW / 1000 + offset });
+      assert.equal(verify(headers).reason, "stale_timestamp", `offset ${offset}s`);
+    }
+    assert.equal(verify(sign({ timestamp: NOW / 1000 - SIGNATURE_TOLERANCE_SEC })).ok, true);
+  });
+
+  it("refuses a signature made with another key's secret", () => {
+    const headers = sign({ secret: "secret-b" });
+    assert.deepEqual(verify(headers), { ok: false, keyId: "pipeline-a", reason: "bad_signature" });
+  });
+
+  it("refuses a request changed after it was signed", () => {
+    const headers = sign();
+    assert.equal(verify(headers, { body: '{"success":false}' }).reason, "bad_signature");
+    assert.equal(verify(headers, { path: "/jobs/job-2/complete" }).reason, "bad_signature");
+    assert.equal(verify(headers, { method: "PUT" }).reason, "bad_signature");
+    assert.equal(verify({ ...headers, "x-seeagain-nonce": "another" }).reason, "bad_signature");
+  });
+
+  it("refuses a malformed signature header", () => {
+    const headers = { ...sign(), "x-seeagain-signature": "v2=abc" };
+    assert.equal(verify(headers).reason, "bad_signature");
+  });
+});
+
+describe("db.claimNonce", () => {
+  let workDir;
+  let db;
+
+  before(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "seeagain-test-"));
+    db = openDatabase(path.join(workDir, "seeagain.db"));
+  });
+
+  after(async () => {
+    db?.close();
+    if (workDir) await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  it("takes a nonce once per key", () => {
+    assert.equal(db.claimNonce("pipeline-a", "nonce-1"), true);
+    assert.equal(db.claimNonce("pipeline-a", "nonce-1"), false);
+    assert.equal(db.claimNonce("pipeline-b", "nonce-1"), true);
+  });
+
+  it("takes it again once purged", () => {
+    assert.equal(db.purgeNoncesBefore(Date.now() + 1), 2);
+    assert.equal(db.claimNonce("pipeline-a", "nonce-1"), true);
+  });
+});
@@ -0,0 +1,106 @@
+// lib/storage: every driver against the same interface (see index.js).
+// The local driver always runs; the S3 driver runs against the bucket in the
+// same environment variables the server uses, e.g. a local MinIO:
+//   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=seeagain-test \
+//   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm test
+// The bucket must exist; test objects go under a fresh S3_PREFIX and are
+// deleted afterwards.
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createStorage, storageKey } from "../lib/storage/index.js";
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+const drivers = [
+  {
+    name: "local",
+    skip: false,
+    options: (workDir) => ({ root: path.join(workDir, "storage") })
+  },
+  {
+    name: "s3",
+    skip: process.env.S3_ENDPOINT && process.env.S3_BUCKET ? false : "set S3_ENDPOINT and S3_BUCKET (e.g. MinIO)",
+    options: () => ({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: `seeagain-test-${crypto.randomBytes(4).toString("hex")}`
+    })
+  }
+];
+
+for (const driver of drivers) {
+  describe(`${driver.name} storage`, { skip: driver.skip }, () => {
+    const content = Buffer.from("0123456789abcdefghij");
+    const key = storageKey("outputs", "anim-1712345678901-wm.mp4");
+    let workDir;
+    let storage;
+
+    before(async () => {
+      workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "seeagain-test-"));
+      storage = createStorage(driver.name, driver.options(workDir));
+      await fs.promises.writeFile(path.join(workDir, "video.mp4"), content);
+    });
+
+    after(async () => {
+      await storage?.delete(key).catch(() => {});
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    });
+
+    it("knows nothing about a missing key", async () => {
+      assert.equal(await storage.stat(storageKey("outputs", "missing.mp4")), null);
+      assert.deepEqual(await storage.list("nothing-here"), []);
+    });
+
+    it("stores a file and describes it", async () => {
+      await storage.put(key, path.join(workDir, "video.mp4"), { contentType: "video/mp4" });
+
+      const info = await storage.stat(key);
+      assert.equal(info.size, content.length);
+      assert.ok(info.etag);
+      assert.ok(info.lastModified > 0);
+    });
+
+    it("reads it whole and by byte range (end inclusive)", async () => {
+      assert.deepEqual(await readAll(await storage.read(key)), content);
+      assert.equal((await readAll(await storage.read(key, { start: 5, end: 9 }))).toString(), "56789");
+      assert.equal((await readAll(await storage.read(key, { start: 15 }))).toString(), "fghij");
+    });
+
+    it("downloads it to a local file", async () => {
+      const copy = path.join(workDir, "copy.mp4");
+      await storage.download(key, copy);
+      assert.deepEqual(await fs.promises.readFile(copy), content);
+    });
+
+    it("lists a folder by key", async () => {
+      const entries = await storage.list("outputs/");
+      assert.deepEqual(entries.map((entry) => [entry.key, entry.size]), [[key, content.length]]);
+    });
+
+    it("deletes it", async () => {
+      await storage.delete(key);
+      assert.equal(await storage.stat(key), null);
+    });
+  });
+}
+
+describe("storageKey", () => {
+  it("refuses names that could leave their folder", () => {
+    assert.throws(() => storageKey("outputs", "../seeagain.db"));
+    assert.throws(() => storageKey("outputs", "a/b.mp4"));
+    assert.throws(() => storageKey("outputs", ".hidden"));
+    assert.equal(storageKey("uploads", "upload-1.jpg"), "uploads/upload-1.jpg");
+  });
+});